@@ -0,0 +1,37 @@
+// AudioWorklet processor that hands raw input PCM to the page in fixed-size
+// blocks (see AudioProcessor.startCapture). Served from public/ because
+// worklet modules are fetched by URL and run outside the bundle.
+//
+// processorOptions.blockSize - frames per posted block (default 2048)
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.blockSize = (options.processorOptions && options.processorOptions.blockSize) || 2048;
+        this.block = new Float32Array(this.blockSize);
+        this.filled = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (input) {
+            let offset = 0;
+            while (offset < input.length) {
+                const count = Math.min(input.length - offset, this.blockSize - this.filled);
+                this.block.set(input.subarray(offset, offset + count), this.filled);
+                this.filled += count;
+                offset += count;
+
+                // Full blocks are transferred, not copied
+                if (this.filled === this.blockSize) {
+                    this.port.postMessage(this.block, [this.block.buffer]);
+                    this.block = new Float32Array(this.blockSize);
+                    this.filled = 0;
+                }
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
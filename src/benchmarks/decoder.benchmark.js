@@ -0,0 +1,75 @@
+// Decoder benchmark: long recordings decoded through the shared spectral engine
+// ('stft') and with a fresh correlation per tone measurement ('direct', how the
+// decoder worked before the engine).
+//
+//   npm run benchmark
+//   BENCHMARK_SECONDS=60,300 npm run benchmark
+//
+// Runs under Jest for the module transform, with a minimal stand-in for the
+// Web Audio API. Times are wall clock for SoundQRDecoder.decode(). Jest's
+// sandbox makes Math.sin and Math.cos slower than a browser does, so the
+// 'direct' times run high; compare the two columns rather than absolute values.
+
+import { SoundQREncoder } from '../utils/soundQREncoder';
+import { SoundQRDecoder } from '../utils/soundQRDecoder';
+import { installWebAudioStub, TestAudioBuffer, TEST_SAMPLE_RATE as SAMPLE_RATE } from '../testUtils/webAudioStub';
+import { createRandom } from '../testUtils/random';
+
+const PAYLOAD = 'https://example.com/benchmark';
+const LENGTHS = (process.env.BENCHMARK_SECONDS || '30,180').split(',').map(Number);
+
+// Music-like carrier: noise with a slow swell, seeded so runs are comparable
+function createCarrier(seconds) {
+    const buffer = new TestAudioBuffer(1, Math.floor(seconds * SAMPLE_RATE), SAMPLE_RATE);
+    const data = buffer.getChannelData(0);
+    const random = createRandom(0x5eed);
+    for (let i = 0; i < data.length; i++) {
+        const swell = 0.6 + 0.4 * Math.sin(2 * Math.PI * i / (SAMPLE_RATE * 7));
+        data[i] = (random() - 0.5) * 0.2 * swell;
+    }
+    return buffer;
+}
+
+async function timeDecode(audioBuffer, spectralAnalysis) {
+    const decoder = new SoundQRDecoder();
+    const started = performance.now();
+    const result = await decoder.decode(audioBuffer, { spectralAnalysis, maxProcessingTime: Infinity });
+    return { result, ms: performance.now() - started };
+}
+
+describe('decoder benchmark', () => {
+    const rows = [];
+
+    beforeAll(() => {
+        // Keep the report readable, but let errors through
+        installWebAudioStub({ silence: ['log', 'warn'] });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+        console.log([
+            'Decode time by recording length',
+            '  length    direct      stft   speedup',
+            ...rows.map(row => `  ${`${row.seconds}s`.padStart(6)}` +
+                `${`${(row.direct / 1000).toFixed(1)}s`.padStart(10)}` +
+                `${`${(row.stft / 1000).toFixed(1)}s`.padStart(10)}` +
+                `${`${(row.direct / row.stft).toFixed(1)}x`.padStart(10)}`)
+        ].join('\n'));
+    });
+
+    test.each(LENGTHS)('%ss recording decodes the same with both analyses', async seconds => {
+        const encoder = new SoundQREncoder();
+        const encoded = await encoder.encodeAudioBuffer(createCarrier(seconds), PAYLOAD, {
+            version: 3,
+            cycles: 3,
+            distribution: 'fill'
+        });
+
+        const direct = await timeDecode(encoded.audioBuffer, 'direct');
+        const stft = await timeDecode(encoded.audioBuffer, 'stft');
+
+        expect(direct.result.data).toBe(PAYLOAD);
+        expect(stft.result.data).toBe(PAYLOAD);
+        rows.push({ seconds, direct: direct.ms, stft: stft.ms });
+    }, 15 * 60 * 1000);
+});
@@ -0,0 +1,49 @@
+import React from 'react';
+import { QRProcessor } from '../utils/qrUtils';
+import { FREQUENCY_PROFILES } from '../utils/frequencyProfiles';
+
+const qrProcessor = new QRProcessor();
+
+// Live fill level of the chosen (or auto-picked) version and the cycle length it implies
+const CapacityMeter = ({ text, version, errorCorrectionLevel, profile }) => {
+  if (!text) return null;
+
+  const versions = Object.keys(FREQUENCY_PROFILES[profile].markers).map(Number);
+  const largest = Math.max(...versions);
+  const { mode, length } = qrProcessor.detectMode(text);
+
+  let resolved = version;
+  if (version === 'auto') {
+    try {
+      resolved = qrProcessor.selectVersion(text, errorCorrectionLevel, versions);
+    } catch (error) {
+      resolved = largest;
+    }
+  }
+
+  const capacity = qrProcessor.getCapacity(resolved, errorCorrectionLevel)[mode];
+  const fits = length <= capacity;
+  const percent = Math.min(length / capacity, 1) * 100;
+  const cycleSeconds = qrProcessor.getCycleTiming(resolved, profile).totalTime / 1000;
+
+  return (
+    <div className={`capacity-meter${fits ? '' : ' over'}`}>
+      <div className="capacity-bar">
+        <div style={{ width: `${percent}%` }} />
+      </div>
+      <p>
+        {length} / {capacity} {mode} characters · Version {resolved}-{errorCorrectionLevel}
+        {version === 'auto' ? ' (auto)' : ''} · {cycleSeconds.toFixed(1)}s per cycle
+      </p>
+      {!fits && (
+        <p>
+          {version === 'auto' || resolved === largest
+            ? `Too long for this profile even at version ${largest}-${errorCorrectionLevel}; shorten the text or lower the error correction.`
+            : 'Too long for this version; pick a larger one or Auto.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CapacityMeter;
@@ -1,6 +1,6 @@
 import React, { useCallback } from 'react';
 
-const FileUpload = ({ onFileSelect, accept = "audio/*", label = "Select Audio File" }) => {
+const FileUpload = ({ onFileSelect, accept = "audio/*", label = "Select Audio File", id = "file-input" }) => {
   const handleFileChange = useCallback((event) => {
     const file = event.target.files[0];
     if (file) {
@@ -30,10 +30,10 @@ const FileUpload = ({ onFileSelect, accept = "audio/*", label = "Select Audio Fi
         type="file"
         accept={accept}
         onChange={handleFileChange}
-        id="file-input"
+        id={id}
         style={{ display: 'none' }}
       />
-      <label htmlFor="file-input" className="file-upload-label">
+      <label htmlFor={id} className="file-upload-label">
         {label}
       </label>
     </div>
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Tiny SVG plot of the adaptive embedding level (dBFS) over time
+const GainCurve = ({ curve, width = 600, height = 120 }) => {
+  if (!curve || curve.length < 2) return null;
+
+  const levels = curve.map(point => point.gainDb);
+  const minDb = Math.floor(Math.min(...levels));
+  const maxDb = Math.ceil(Math.max(...levels));
+  const range = Math.max(maxDb - minDb, 1);
+  const duration = curve[curve.length - 1].time;
+
+  const points = curve.map(point => {
+    const x = (point.time / duration) * width;
+    const y = height - ((point.gainDb - minDb) / range) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <div className="gain-curve">
+      <p>Embedding Level: {minDb} to {maxDb} dBFS over {duration.toFixed(1)}s</p>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+        <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" />
+      </svg>
+    </div>
+  );
+};
+
+export default GainCurve;
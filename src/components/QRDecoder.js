@@ -1,8 +1,32 @@
-import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { SoundQRDecoder } from '../utils/soundQRDecoder';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import { SoundQRDecoder, COMBINING_METHODS } from '../utils/soundQRDecoder';
 import { AudioProcessor } from '../utils/audioUtils';
+import { WavExporter } from '../utils/wavExport';
+import { StreamingDecoder } from '../utils/streamingDecoder';
+import { FREQUENCY_PROFILES, TIMING_PRESETS, getBitsPerSymbol, withTonesPerSlot } from '../utils/frequencyProfiles';
 import FileUpload from './FileUpload';
 
+// Binary payloads are shown as text when they are valid UTF-8, otherwise as a hex dump
+const formatBinary = (bytes) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    const lines = [];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+      const row = Array.from(bytes.subarray(offset, offset + 16), b => b.toString(16).padStart(2, '0'));
+      lines.push(`${offset.toString(16).padStart(4, '0')}  ${row.join(' ')}`);
+    }
+    return lines.join('\n');
+  }
+};
+
+// Progress messages for SoundQRDecoder's decode stages
+const DECODE_STAGE_LABELS = {
+  scanning: 'Scanning for cycles',
+  aligning: 'Aligning cycles',
+  decoding: 'Decoding cycles'
+};
+
 const QRDecoder = () => {
   const [audioFile, setAudioFile] = useState(null);
   const [decoding, setDecoding] = useState(false);
@@ -11,15 +35,42 @@ const QRDecoder = () => {
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
   const [debugInfo, setDebugInfo] = useState(null);
+  const [profile, setProfile] = useState('standard');
+  const [payloadType, setPayloadType] = useState('qr'); // 'qr' | 'binary'
 
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
-  const analysisIntervalRef = useRef(null); // Ref for the analysis timer
-  const isAnalyzingRef = useRef(false);     // Prevent overlapping analysis
+  const captureRef = useRef(null);          // Live microphone capture, while recording
+  const decoderPoolRef = useRef(null);      // Worker pool, once loaded
 
   const decoder = new SoundQRDecoder();
   const audioProcessor = new AudioProcessor();
 
+  // Decodes run in a worker pool where workers exist. The pool module is loaded
+  // on demand: Jest can't parse the import.meta it uses to locate the worker.
+  useEffect(() => {
+    if (typeof Worker === 'undefined') return undefined;
+
+    let cancelled = false;
+    import('../utils/decoderPool').then(({ DecoderPool }) => {
+      if (!cancelled) {
+        decoderPoolRef.current = new DecoderPool();
+      }
+    });
+    return () => {
+      cancelled = true;
+      decoderPoolRef.current?.terminate();
+      decoderPoolRef.current = null;
+    };
+  }, []);
+
+  // Decode off the main thread when the pool is up, on it otherwise
+  const decodeAudio = (audioBuffer, options) => (
+    decoderPoolRef.current
+      ? decoderPoolRef.current.decode(audioBuffer, options)
+      : decoder.decode(audioBuffer, options)
+  );
+
     useEffect(() => {
         return () => {
             stopAnalysis();
@@ -27,9 +78,9 @@ const QRDecoder = () => {
     }, []);
 
     const stopAnalysis = () => {
-        if (analysisIntervalRef.current) {
-            clearInterval(analysisIntervalRef.current);
-            analysisIntervalRef.current = null;
+        if (captureRef.current) {
+            captureRef.current.stop();
+            captureRef.current = null;
         }
     };
 
@@ -124,48 +175,22 @@ const generateFullTestQR = useCallback(async () => {
   try {
     console.log('🚀 Starting test QR generation...');
     
-    // Initialize audio context
-    await audioProcessor.initAudioContext();
-    const sampleRate = audioProcessor.sampleRate;
-    
-    // Create base audio buffer with quiet background noise
-    const duration = 20; // 20 seconds for Version 1 QR
-    const samples = new Float32Array(duration * sampleRate);
-    
-    // Add very quiet background noise to prevent complete silence
-    for (let i = 0; i < samples.length; i++) {
-      samples[i] = (Math.random() - 0.5) * 0.001; // Very quiet noise at -60dB
-    }
-    
-    const baseAudioBuffer = audioProcessor.audioContext.createBuffer(1, samples.length, sampleRate);
-    baseAudioBuffer.copyToChannel(samples, 0);
-    
-    console.log(`🔧 Created base audio: ${duration}s, ${sampleRate}Hz, ${samples.length} samples`);
-    
-    // Load encoder and set up mocking
     const { SoundQREncoder } = await import('../utils/soundQREncoder');
     const encoder = new SoundQREncoder();
-    await encoder.audioProcessor.initAudioContext();
-    
-    // Mock the loadAudioFile method
-    const originalLoad = encoder.audioProcessor.loadAudioFile;
-    encoder.audioProcessor.loadAudioFile = async () => {
-      console.log('🔧 Using mock audio buffer for encoding');
-      return baseAudioBuffer;
-    };
-    
-    console.log('🔧 Encoding "Hello World" as Version 1 QR...');
-    
-    const testFile = new File([new ArrayBuffer(1000)], 'test.wav', { type: 'audio/wav' });
-    const result = await encoder.encode(testFile, "Hello World", { 
-      version: 1, 
+
+    console.log('🔧 Encoding "Hello World" as a Version 1 beacon...');
+
+    // 20 seconds of very quiet (-60dB) noise so the file is never completely silent
+    const result = await encoder.generateBeacon("Hello World", {
+      version: 1,
       cycles: 3,
-      amplitude: 0.1
+      duration: 20,
+      background: 'white',
+      noiseLevel: -60,
+      amplitude: 0.1,
+      loop: false
     });
     
-    // Restore original method
-    encoder.audioProcessor.loadAudioFile = originalLoad;
-    
     console.log('✅ Encoding successful:', result);
     
     // FIXED: Verify the result has audio signal using batched processing
@@ -207,7 +232,8 @@ const generateFullTestQR = useCallback(async () => {
     
     // Convert to WAV with improved method
     console.log('🔧 Converting to downloadable WAV file...');
-    const wav = await audioBufferToWav(result.audioBuffer);
+    const exporter = new WavExporter();
+    const wav = await exporter.encode(result.audioBuffer, { metadata: exporter.describeEncoding(result) });
     const blob = new Blob([wav], { type: 'audio/wav' });
     const url = URL.createObjectURL(blob);
     
@@ -231,72 +257,7 @@ const generateFullTestQR = useCallback(async () => {
     setError(`Test generation failed: ${err.message}`);
     alert(`❌ Test generation failed: ${err.message}\n\nCheck the browser console for details.`);
   }
-}, [audioProcessor]);
-
-const audioBufferToWav = async (audioBuffer) => {
-  try {
-    console.log(`🔧 Converting audio buffer to WAV: ${audioBuffer.duration.toFixed(2)}s, ${audioBuffer.numberOfChannels} channels`);
-    
-    const numberOfChannels = audioBuffer.numberOfChannels;
-    const length = audioBuffer.length * numberOfChannels * 2;
-    const buffer = new ArrayBuffer(44 + length);
-    const view = new DataView(buffer);
-    
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
-    };
-    
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + length, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, numberOfChannels, true);
-    view.setUint32(24, audioBuffer.sampleRate, true);
-    view.setUint32(28, audioBuffer.sampleRate * numberOfChannels * 2, true);
-    view.setUint16(32, numberOfChannels * 2, true);
-    view.setUint16(34, 16, true);
-    writeString(36, 'data');
-    view.setUint32(40, length, true);
-    
-    // FIXED: Process audio data in smaller batches to prevent stack overflow
-    let offset = 44;
-    const batchSize = 1000; // Process 1000 samples at a time
-    
-    console.log(`🔧 Processing ${audioBuffer.length} samples in batches of ${batchSize}...`);
-    
-    for (let i = 0; i < audioBuffer.length; i += batchSize) {
-      const endIdx = Math.min(i + batchSize, audioBuffer.length);
-      
-      // Process this batch
-      for (let sampleIdx = i; sampleIdx < endIdx; sampleIdx++) {
-        for (let channel = 0; channel < numberOfChannels; channel++) {
-          const channelData = audioBuffer.getChannelData(channel);
-          const sample = Math.max(-1, Math.min(1, channelData[sampleIdx]));
-          view.setInt16(offset, sample * 0x7FFF, true);
-          offset += 2;
-        }
-      }
-      
-      // Yield control every batch to prevent blocking
-      if (i % (batchSize * 10) === 0) {
-        await new Promise(resolve => setTimeout(resolve, 1));
-        console.log(`🔧 WAV conversion progress: ${((i / audioBuffer.length) * 100).toFixed(1)}%`);
-      }
-    }
-    
-    console.log(`✅ WAV conversion complete: ${buffer.byteLength} bytes`);
-    return buffer;
-    
-  } catch (error) {
-    console.error(`❌ WAV conversion failed: ${error.message}`);
-    throw new Error(`WAV conversion failed: ${error.message}`);
-  }
-};
+}, []);
 
     const startRecording = useCallback(async () => {
         setError(null);
@@ -314,7 +275,7 @@ const audioBufferToWav = async (audioBuffer) => {
                 }
             });
 
-            // Request data every 500ms so we can analyze chunks in real-time
+            // Keep the recording so it can be decoded again as a file afterwards
             const mediaRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm' });
             mediaRecorderRef.current = mediaRecorder;
             audioChunksRef.current = [];
@@ -329,63 +290,53 @@ const audioBufferToWav = async (audioBuffer) => {
                 stopAnalysis();
                 stream.getTracks().forEach(track => track.stop());
                 setIsRecording(false);
-            };
-
-            mediaRecorder.start(500); // Timeslice 500ms to ensure dataavailable fires often
-            setIsRecording(true);
-            setProgress('Listening for QR code...');
-
-            // START REAL-TIME ANALYSIS LOOP
-            analysisIntervalRef.current = setInterval(async () => {
-                // Skip if already busy or not enough data (wait for ~2s of audio)
-                if (isAnalyzingRef.current || audioChunksRef.current.length < 4) return;
-
-                isAnalyzingRef.current = true;
-                try {
-                    // Create a snapshot blob from current chunks
+                if (audioChunksRef.current.length > 0) {
                     const blob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-                    const file = new File([blob], "temp_live.webm", { type: 'audio/webm' });
-
-                    // Quick load
-                    if (!audioProcessor.audioContext) await audioProcessor.initAudioContext();
-                    const arrayBuffer = await file.arrayBuffer();
-                    const audioBuffer = await audioProcessor.audioContext.decodeAudioData(arrayBuffer);
-
-                    // Attempt Decode
-                    // Only check the last 5 seconds to keep it fast
-                    const decodeResult = await decoder.decode(audioBuffer, {
-                        fastMode: true,
-                        maxProcessingTime: 1000 // Timeout fast
-                    });
+                    setAudioFile(new File([blob], 'recording.webm', { type: 'audio/webm' }));
+                }
+            };
 
-                    if (decodeResult) {
-                        // SUCCESS! Stop everything.
-                        console.log('✅ QR Code found during live recording!');
-                        mediaRecorder.stop(); // This triggers onstop
-                        setResult(decodeResult);
-                        setAudioFile(file); // Save the file that worked
-                        setProgress('QR Code Detected!');
+            // Live decoding works on raw PCM from the microphone, not the webm chunks:
+            // markers are found as audio arrives and each cycle is decoded once it ends
+            await audioProcessor.initAudioContext();
+            let found = false;
+            const streamingDecoder = new StreamingDecoder({
+                sampleRate: audioProcessor.sampleRate,
+                profile,
+                payloadType,
+                onCycle: ({ status, time }) => {
+                    if (status === 'receiving' && !found) {
+                        setProgress(`Receiving cycle from ${time.toFixed(1)}s...`);
                     }
-                } catch (e) {
-                    // Ignore failures during live scan, just keep recording
-                    // console.debug('Live scan pass failed:', e.message);
-                } finally {
-                    isAnalyzingRef.current = false;
+                },
+                onResult: (decodeResult) => {
+                    if (found) return;
+                    found = true;
+
+                    // SUCCESS! Stop everything.
+                    console.log('✅ QR Code found during live recording!');
+                    setResult(decodeResult);
+                    setProgress('QR Code Detected!');
+                    mediaRecorder.stop(); // This triggers onstop
                 }
-            }, 1000); // Check every 1 second
+            });
+            captureRef.current = await audioProcessor.startCapture(stream, samples => streamingDecoder.push(samples));
+
+            mediaRecorder.start(500); // Timeslice 500ms so a stopped recording has all its data
+            setIsRecording(true);
+            setProgress('Listening for QR code...');
 
         } catch (err) {
             console.error('Error accessing microphone:', err);
             setError('Could not access microphone. Please ensure permissions are granted.');
         }
-    }, []);
+    }, [profile, payloadType]);
 
     const stopRecording = useCallback(() => {
         if (mediaRecorderRef.current && isRecording) {
             stopAnalysis();
             mediaRecorderRef.current.stop();
-            // Allow manual stop to trigger a final full decode attempt (via onstop logic if desired)
-            // For now, we rely on the realtime analysis or the user clicking "Decode" on the file.
+            // The recording becomes the selected file, ready for a full decode
             setProgress('Recording stopped.');
         }
     }, [isRecording]);
@@ -417,7 +368,12 @@ const audioBufferToWav = async (audioBuffer) => {
 
             setTimeout(async () => {
                 try {
-                    const decodeResult = await decoder.decode(audioBuffer);
+                    const decodeResult = await decodeAudio(audioBuffer, {
+                        profile,
+                        payloadType,
+                        onProgress: ({ stage, progress: fraction }) => setProgress(
+                            `${DECODE_STAGE_LABELS[stage]}... ${Math.round(fraction * 100)}%`)
+                    });
                     setResult(decodeResult);
                     setProgress('');
                 } catch (decodeError) {
@@ -434,7 +390,14 @@ const audioBufferToWav = async (audioBuffer) => {
             setDecoding(false);
             setProgress('');
         }
-    }, [audioFile]);
+    }, [audioFile, profile, payloadType]);
+
+  // Download link for a decoded binary payload
+  const binaryUrl = useMemo(() => (
+    result && result.payloadType === 'binary'
+      ? URL.createObjectURL(new Blob([result.data], { type: 'application/octet-stream' }))
+      : null
+  ), [result]);
 
   return (
     <div className="qr-decoder">
@@ -457,6 +420,33 @@ const audioBufferToWav = async (audioBuffer) => {
             </button>
         </div>
 
+      <div className="form-group">
+        <label htmlFor="decode-profile">Frequency Profile:</label>
+        <select
+          id="decode-profile"
+          value={profile}
+          onChange={(e) => setProfile(e.target.value)}
+          disabled={isRecording}
+        >
+          {Object.entries(FREQUENCY_PROFILES).map(([name, { label }]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="decode-payload-type">Payload:</label>
+        <select
+          id="decode-payload-type"
+          value={payloadType}
+          onChange={(e) => setPayloadType(e.target.value)}
+          disabled={isRecording}
+        >
+          <option value="qr">QR code (text)</option>
+          <option value="binary">Binary frames (raw bytes)</option>
+        </select>
+      </div>
+
       <div className="button-group" style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
           <button
               onClick={() => handleDecode()}
@@ -501,13 +491,60 @@ const audioBufferToWav = async (audioBuffer) => {
         <div className="result-section">
           <h3>Decoding Complete!</h3>
           <div className="decoded-result">
-            <p><strong>QR Version:</strong> {result.version}</p>
+            {result.version && <p><strong>QR Version:</strong> {result.version}</p>}
+            {result.errorCorrectionLevel && <p><strong>Error Correction:</strong> {result.errorCorrectionLevel}</p>}
+            {result.profile && <p><strong>Frequency Profile:</strong> {FREQUENCY_PROFILES[result.profile]?.label ?? result.profile}</p>}
+            {result.timingPreset && <p><strong>Symbol Rate:</strong> {TIMING_PRESETS[result.timingPreset].label}</p>}
+            {result.tonesPerSlot > 1 && (
+              <p>
+                <strong>Tones per Slot:</strong> {result.tonesPerSlot}
+                {FREQUENCY_PROFILES[result.profile] && ` (${getBitsPerSymbol(withTonesPerSlot(result.profile, result.tonesPerSlot))} bits per slot)`}
+              </p>
+            )}
+            {result.interleaved && <p><strong>Interleaved:</strong> Yes</p>}
+            {result.payloadType === 'qr' && !result.cyclesCombined && !result.columnValidity && (
+              <p><strong>Column Checks:</strong> unavailable (this version's columns fill their slots exactly, leaving no padding bits)</p>
+            )}
+            {result.columnValidity && (
+              <div className="column-validity">
+                <p>
+                  <strong>Column Checks:</strong> {result.columnValidity.length - result.corruptedColumns}/{result.columnValidity.length} passed
+                  {result.columnCheck ? '' : ' (zero padding only)'}
+                </p>
+                <div className="column-validity-map">
+                  {result.columnValidity.map((valid, col) => (
+                    <span key={col} className={valid ? 'valid' : 'invalid'} title={`Column ${col + 1}`} />
+                  ))}
+                </div>
+              </div>
+            )}
             <p><strong>Confidence:</strong> {(Math.min(result.confidence * 100, 100)).toFixed(1)}%</p>
-            <p><strong>Cycles Found:</strong> {result.cyclesFound}</p>
-            <div className="decoded-data">
-              <h4>Decoded Data:</h4>
-              <pre>{result.data}</pre>
-            </div>
+            {typeof result.driftPpm === 'number' && (
+              <p><strong>Clock Drift:</strong> {result.driftPpm > 0 ? '+' : ''}{result.driftPpm.toFixed(0)} ppm</p>
+            )}
+            {result.payloadType === 'binary' ? (
+              <>
+                <p><strong>Frames:</strong> {result.frames} ({result.correctedBytes} bytes corrected)</p>
+                <div className="decoded-data">
+                  <h4>Decoded Data ({result.data.length} bytes):</h4>
+                  <pre>{formatBinary(result.data)}</pre>
+                  <a href={binaryUrl} download="payload.bin" className="download-button">
+                    Download Payload
+                  </a>
+                </div>
+              </>
+            ) : (
+              <>
+                <p><strong>Cycles Found:</strong> {result.cyclesFound}</p>
+                {result.cyclesCombined > 1 && (
+                  <p><strong>Combined Cycles:</strong> {result.cyclesCombined} ({COMBINING_METHODS[result.combining].label})</p>
+                )}
+                <div className="decoded-data">
+                  <h4>Decoded Data:</h4>
+                  <pre>{result.data}</pre>
+                </div>
+              </>
+            )}
           </div>
         </div>
       )}
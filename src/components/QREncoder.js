@@ -1,20 +1,91 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { SoundQREncoder } from '../utils/soundQREncoder';
+import { CHANNEL_MODES, HEADROOM_MODES, LOW_RATE_POLICIES, OUTPUT_SAMPLE_RATES } from '../utils/audioUtils';
+import {
+  FREQUENCY_PROFILES,
+  TIMING_PRESETS,
+  TONES_PER_SLOT_OPTIONS,
+  getBitsPerSymbol,
+  withTimingPreset,
+  withTonesPerSlot
+} from '../utils/frequencyProfiles';
+import { ERROR_CORRECTION_LEVELS } from '../utils/qrUtils';
+import { WavExporter, WAV_FORMATS, WAV_METADATA_MODES } from '../utils/wavExport';
+import { CompressedExporter, COMPRESSED_FORMATS, COMPRESSED_BITRATES } from '../utils/compressedExport';
 import FileUpload from './FileUpload';
+import GainCurve from './GainCurve';
+import CapacityMeter from './CapacityMeter';
+
+// Tones-per-slot option label with the data-time saving over one tone. Each tone
+// only gets its own sub-band, so two tones fall short of doubling the bits per slot.
+const describeTonesPerSlot = (profile, tones) => {
+  const singleBits = getBitsPerSymbol(withTonesPerSlot(profile, 1));
+  const bits = getBitsPerSymbol(withTonesPerSlot(profile, tones));
+  if (tones === 1) {
+    return `1 (${bits} bits per slot)`;
+  }
+
+  const saving = Math.round((1 - singleBits / bits) * 100);
+  const shortfall = bits < 2 * singleBits ? `, short of the ${2 * singleBits} needed to halve it` : '';
+  return `${tones} (${bits} bits per slot, data ${saving}% shorter${shortfall})`;
+};
 
 const QREncoder = () => {
+  const [sourceMode, setSourceMode] = useState('carrier'); // 'carrier' | 'beacon'
   const [audioFile, setAudioFile] = useState(null);
   const [qrText, setQrText] = useState('');
-  const [version, setVersion] = useState(1);
+  const [payloadType, setPayloadType] = useState('qr'); // 'qr' | 'binary'
+  const [payloadFile, setPayloadFile] = useState(null); // Binary mode: bytes to send instead of the text
+  const [version, setVersion] = useState('auto'); // 1-10 or 'auto'
+  const [profile, setProfile] = useState('standard');
+  const [tonesPerSlot, setTonesPerSlot] = useState(1);
+  const [timingPreset, setTimingPreset] = useState('standard');
+  const [interleave, setInterleave] = useState('off'); // 'off' | 'fixed' | 'rotating'
+  const [columnCheck, setColumnCheck] = useState(true);
+  const [outputSampleRate, setOutputSampleRate] = useState(48000);
+  const [lowRatePolicy, setLowRatePolicy] = useState('reject'); // 'reject' | 'warn'
+  const [wavFormat, setWavFormat] = useState('pcm24');
+  const [wavMetadata, setWavMetadata] = useState('both'); // 'none' | 'info' | 'ixml' | 'both'
+  const [compressedFormat, setCompressedFormat] = useState('none'); // 'none' | 'opus' | 'aac' | 'mp3'
+  const [compressedBitrate, setCompressedBitrate] = useState(128000);
+  const [compressedSupport, setCompressedSupport] = useState({}); // Format -> 'webcodecs' | 'mediarecorder' | null
+  const [verify, setVerify] = useState(true);
+  const [errorCorrectionLevel, setErrorCorrectionLevel] = useState('M');
+  const [channelMode, setChannelMode] = useState('auto');
+  const [distribution, setDistribution] = useState('packed');
+  const [cycleInterval, setCycleInterval] = useState('');
+  const [beaconDuration, setBeaconDuration] = useState('');
+  const [beaconCycles, setBeaconCycles] = useState(3);
+  const [background, setBackground] = useState('none');
+  const [loop, setLoop] = useState(true);
+  const [transitionWindow, setTransitionWindow] = useState('raised-cosine');
+  const [adaptiveLevel, setAdaptiveLevel] = useState(false);
+  const [minLevelDb, setMinLevelDb] = useState(-45);
+  const [maxLevelDb, setMaxLevelDb] = useState(-20);
+  const [headroom, setHeadroom] = useState('limiter');
   const [encoding, setEncoding] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
 
   const encoder = new SoundQREncoder();
 
+  useEffect(() => {
+    new CompressedExporter().getSupportedFormats()
+      .then(setCompressedSupport)
+      .catch(err => console.warn(`Compressed export detection failed: ${err.message}`));
+  }, []);
+
   const handleEncode = useCallback(async () => {
-    if (!audioFile || !qrText.trim()) {
-      setError('Please select an audio file and enter QR text');
+    const isBeacon = sourceMode === 'beacon';
+    const hasPayload = qrText.trim() || (payloadType === 'binary' && payloadFile);
+
+    if ((!isBeacon && !audioFile) || !hasPayload) {
+      setError(isBeacon ? 'Please enter QR text' : 'Please select an audio file and enter QR text');
+      return;
+    }
+
+    if (!isBeacon && adaptiveLevel && !(minLevelDb <= maxLevelDb)) {
+      setError('The adaptive level floor must not be above its ceiling');
       return;
     }
 
@@ -23,81 +94,163 @@ const QREncoder = () => {
     setResult(null);
 
     try {
-      const encodingResult = await encoder.encode(audioFile, qrText, { version });
+      const payload = payloadType === 'binary' && payloadFile
+        ? new Uint8Array(await payloadFile.arrayBuffer())
+        : qrText;
+
+      const encodingResult = isBeacon
+        ? await encoder.generateBeacon(payload, {
+          payloadType,
+          version,
+          errorCorrectionLevel,
+          cycles: beaconCycles,
+          duration: beaconDuration ? parseFloat(beaconDuration) : null,
+          background,
+          loop,
+          transitionWindow,
+          profile,
+          tonesPerSlot,
+          timingPreset,
+          interleave,
+          columnCheck,
+          outputSampleRate,
+          verify
+        })
+        : await encoder.encode(audioFile, payload, {
+          payloadType,
+          version,
+          errorCorrectionLevel,
+          channelMode,
+          distribution,
+          interval: distribution === 'fill' && cycleInterval ? parseFloat(cycleInterval) : null,
+          transitionWindow,
+          adaptiveLevel,
+          minLevelDb,
+          maxLevelDb,
+          headroom,
+          profile,
+          tonesPerSlot,
+          timingPreset,
+          interleave,
+          columnCheck,
+          outputSampleRate,
+          lowRatePolicy,
+          verify
+        });
       
       // Convert AudioBuffer to downloadable format
-      const wav = await audioBufferToWav(encodingResult.audioBuffer);
+      const exporter = new WavExporter();
+      const wav = await exporter.encode(encodingResult.audioBuffer, {
+        format: wavFormat,
+        metadata: exporter.describeEncoding(encodingResult),
+        metadataMode: wavMetadata
+      });
       const blob = new Blob([wav], { type: 'audio/wav' });
       const url = URL.createObjectURL(blob);
+      const baseName = isBeacon
+        ? `beacon_${encodingResult.qrData ? `v${encodingResult.qrData.version}` : 'binary'}_${encodingResult.profile}${loop ? '_loop' : ''}`
+        : `encoded_${audioFile.name.replace(/\.[^/.]+$/, '')}`;
+
+      // Compressed copy, decoded again to see whether the payload made it through
+      let compressed = null;
+      if (compressedFormat !== 'none') {
+        const compressor = new CompressedExporter();
+        const output = await compressor.encode(encodingResult.audioBuffer, { format: compressedFormat, bitrate: compressedBitrate });
+        const survival = await compressor.checkSurvival(output.blob, payload, {
+          payloadType,
+          profile: encodingResult.profile
+        });
+        compressed = {
+          url: URL.createObjectURL(output.blob),
+          filename: `${baseName}.${output.extension}`,
+          label: COMPRESSED_FORMATS[compressedFormat].label,
+          bitrate: output.bitrate,
+          method: output.method,
+          ...survival
+        };
+      }
       
       setResult({
         audioUrl: url,
-        filename: `encoded_${audioFile.name.replace(/\.[^/.]+$/, '')}.wav`,
+        filename: `${baseName}.wav`,
+        compressed,
+        verification: encodingResult.verification ?? null,
         qrData: encodingResult.qrData,
+        binaryData: encodingResult.binaryData,
+        profile: encodingResult.profile,
+        tonesPerSlot: encodingResult.tonesPerSlot,
+        timingPreset: encodingResult.timingPreset,
+        interleave: encodingResult.interleave,
+        sampleRate: encodingResult.sampleRate,
+        sourceSampleRate: encodingResult.sourceSampleRate,
+        cycleLength: encodingResult.timing.totalTime / 1000,
         duration: encodingResult.duration,
-        cycles: encodingResult.cycles
+        cycles: encodingResult.cycles,
+        cycleTimes: encodingResult.cycleTimes,
+        channelMode: encodingResult.channelMode,
+        loopPoint: encodingResult.loopPoint ?? null,
+        gainCurve: encodingResult.gainCurve ?? null,
+        clipping: encodingResult.clipping
       });
     } catch (err) {
       setError(err.message);
     } finally {
       setEncoding(false);
     }
-  }, [audioFile, qrText, version]);
-
-  // Simple WAV export function
-  const audioBufferToWav = async (audioBuffer) => {
-    const numberOfChannels = audioBuffer.numberOfChannels;
-    const length = audioBuffer.length * numberOfChannels * 2;
-    const buffer = new ArrayBuffer(44 + length);
-    const view = new DataView(buffer);
-    
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
-    };
-    
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + length, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, numberOfChannels, true);
-    view.setUint32(24, audioBuffer.sampleRate, true);
-    view.setUint32(28, audioBuffer.sampleRate * numberOfChannels * 2, true);
-    view.setUint16(32, numberOfChannels * 2, true);
-    view.setUint16(34, 16, true);
-    writeString(36, 'data');
-    view.setUint32(40, length, true);
-    
-    // PCM data
-    let offset = 44;
-    for (let i = 0; i < audioBuffer.length; i++) {
-      for (let channel = 0; channel < numberOfChannels; channel++) {
-        const sample = Math.max(-1, Math.min(1, audioBuffer.getChannelData(channel)[i]));
-        view.setInt16(offset, sample * 0x7FFF, true);
-        offset += 2;
-      }
-    }
-    
-    return buffer;
-  };
+  }, [sourceMode, audioFile, qrText, payloadType, payloadFile, version, errorCorrectionLevel, profile, tonesPerSlot, timingPreset, interleave, columnCheck, outputSampleRate, lowRatePolicy, wavFormat, wavMetadata, compressedFormat, compressedBitrate, verify, channelMode, distribution, cycleInterval,
+    beaconCycles, beaconDuration, background, loop, transitionWindow, adaptiveLevel, minLevelDb, maxLevelDb,
+    headroom]);
 
   return (
     <div className="qr-encoder">
       <h2>Encode QR into Audio</h2>
       
       <div className="form-group">
-        <FileUpload 
-          onFileSelect={setAudioFile}
-          label={audioFile ? audioFile.name : "Select Audio File"}
-        />
+        <label htmlFor="source-mode">Source:</label>
+        <select
+          id="source-mode"
+          value={sourceMode}
+          onChange={(e) => setSourceMode(e.target.value)}
+        >
+          <option value="carrier">Embed into an audio file</option>
+          <option value="beacon">Beacon only (no carrier audio)</option>
+        </select>
+      </div>
+
+      {sourceMode === 'carrier' && (
+        <div className="form-group">
+          <FileUpload 
+            onFileSelect={setAudioFile}
+            label={audioFile ? audioFile.name : "Select Audio File"}
+          />
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="payload-type">Payload:</label>
+        <select
+          id="payload-type"
+          value={payloadType}
+          onChange={(e) => setPayloadType(e.target.value)}
+        >
+          <option value="qr">QR code (text)</option>
+          <option value="binary">Binary frames (raw bytes, Reed-Solomon)</option>
+        </select>
       </div>
 
+      {payloadType === 'binary' && (
+        <div className="form-group">
+          <FileUpload
+            id="payload-file"
+            accept="*/*"
+            onFileSelect={setPayloadFile}
+            label={payloadFile ? `${payloadFile.name} (${payloadFile.size} bytes)` : 'Select Payload File (optional)'}
+          />
+        </div>
+      )}
+
       <div className="form-group">
-        <label htmlFor="qr-text">QR Code Text:</label>
+        <label htmlFor="qr-text">{payloadType === 'binary' ? 'Payload Text (sent as UTF-8 when no file is selected):' : 'QR Code Text:'}</label>
         <textarea
           id="qr-text"
           value={qrText}
@@ -105,27 +258,376 @@ const QREncoder = () => {
           placeholder="Enter text to encode as QR code..."
           rows={3}
         />
+        {payloadType === 'qr' && (
+          <CapacityMeter
+            text={qrText}
+            version={version}
+            errorCorrectionLevel={errorCorrectionLevel}
+            profile={profile}
+          />
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="profile">Frequency Profile:</label>
+        <select
+          id="profile"
+          value={profile}
+          onChange={(e) => {
+            const markers = FREQUENCY_PROFILES[e.target.value].markers;
+            setProfile(e.target.value);
+            if (version !== 'auto' && !markers[version]) setVersion(Math.max(...Object.keys(markers).map(Number)));
+          }}
+        >
+          {Object.entries(FREQUENCY_PROFILES).map(([name, { label }]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="tones-per-slot">Tones per Slot:</label>
+        <select
+          id="tones-per-slot"
+          value={tonesPerSlot}
+          onChange={(e) => setTonesPerSlot(parseInt(e.target.value))}
+        >
+          {TONES_PER_SLOT_OPTIONS.map(tones => (
+            <option key={tones} value={tones}>
+              {describeTonesPerSlot(profile, tones)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="timing-preset">Symbol Rate:</label>
+        <select
+          id="timing-preset"
+          value={timingPreset}
+          onChange={(e) => setTimingPreset(e.target.value)}
+        >
+          {Object.entries(TIMING_PRESETS).map(([name, { label }]) => (
+            <option key={name} value={name}>
+              {label} – {withTimingPreset(profile, name).chunkDuration}ms symbols
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="output-sample-rate">Output Sample Rate:</label>
+        <select
+          id="output-sample-rate"
+          value={outputSampleRate}
+          onChange={(e) => setOutputSampleRate(parseInt(e.target.value))}
+        >
+          {OUTPUT_SAMPLE_RATES.map(rate => (
+            <option key={rate} value={rate}>{rate / 1000} kHz{rate === 48000 ? ' (recommended)' : ''}</option>
+          ))}
+        </select>
       </div>
 
       <div className="form-group">
-        <label htmlFor="version">QR Version:</label>
+        <label htmlFor="wav-format">WAV Format:</label>
         <select
-          id="version"
-          value={version}
-          onChange={(e) => setVersion(parseInt(e.target.value))}
+          id="wav-format"
+          value={wavFormat}
+          onChange={(e) => setWavFormat(e.target.value)}
         >
-          {[1, 2, 3, 4, 5].map(v => (
-            <option key={v} value={v}>Version {v} ({21 + (v-1)*4}×{21 + (v-1)*4})</option>
+          {Object.entries(WAV_FORMATS).map(([format, { label }]) => (
+            <option key={format} value={format}>{label}</option>
           ))}
         </select>
       </div>
 
+      <div className="form-group">
+        <label htmlFor="wav-metadata">Payload Metadata in WAV:</label>
+        <select
+          id="wav-metadata"
+          value={wavMetadata}
+          onChange={(e) => setWavMetadata(e.target.value)}
+        >
+          {Object.entries(WAV_METADATA_MODES).map(([mode, { label }]) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="compressed-format">Also Export Compressed:</label>
+        <select
+          id="compressed-format"
+          value={compressedFormat}
+          onChange={(e) => setCompressedFormat(e.target.value)}
+        >
+          <option value="none">No (WAV only)</option>
+          {Object.entries(COMPRESSED_FORMATS).map(([format, { label }]) => (
+            <option key={format} value={format} disabled={!compressedSupport[format]}>
+              {label}{compressedSupport[format] ? '' : ' (not supported in this browser)'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {compressedFormat !== 'none' && (
+        <div className="form-group">
+          <label htmlFor="compressed-bitrate">Bitrate:</label>
+          <select
+            id="compressed-bitrate"
+            value={compressedBitrate}
+            onChange={(e) => setCompressedBitrate(parseInt(e.target.value))}
+          >
+            {COMPRESSED_BITRATES.map(bitrate => (
+              <option key={bitrate} value={bitrate}>{bitrate / 1000} kbps</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={verify}
+            onChange={(e) => setVerify(e.target.checked)}
+          />
+          {' '}Verify the output decodes before download
+        </label>
+      </div>
+
+      {payloadType === 'qr' && (
+        <>
+          <div className="form-group">
+            <label htmlFor="version">QR Version:</label>
+            <select
+              id="version"
+              value={version}
+              onChange={(e) => setVersion(e.target.value === 'auto' ? 'auto' : parseInt(e.target.value))}
+            >
+              <option value="auto">Auto (smallest that fits)</option>
+              {Object.keys(FREQUENCY_PROFILES[profile].markers).map(Number).map(v => (
+                <option key={v} value={v}>Version {v} ({21 + (v-1)*4}×{21 + (v-1)*4})</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="error-correction">Error Correction:</label>
+            <select
+              id="error-correction"
+              value={errorCorrectionLevel}
+              onChange={(e) => setErrorCorrectionLevel(e.target.value)}
+            >
+              {Object.entries(ERROR_CORRECTION_LEVELS).map(([level, { label }]) => (
+                <option key={level} value={level}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="interleave">Interleaving:</label>
+            <select
+              id="interleave"
+              value={interleave}
+              onChange={(e) => setInterleave(e.target.value)}
+            >
+              <option value="off">Off (column by column)</option>
+              <option value="fixed">Spread codewords across the cycle</option>
+              <option value="rotating">Spread codewords differently every cycle</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={columnCheck}
+                onChange={(e) => setColumnCheck(e.target.checked)}
+              />
+              {' '}Per-column checks in the padding bits
+            </label>
+          </div>
+        </>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="transition-window">Tone Transitions:</label>
+        <select
+          id="transition-window"
+          value={transitionWindow}
+          onChange={(e) => setTransitionWindow(e.target.value)}
+        >
+          <option value="raised-cosine">Raised cosine glide</option>
+          <option value="gaussian">Gaussian glide (GFSK)</option>
+        </select>
+      </div>
+
+      {sourceMode === 'carrier' && (
+        <>
+          <div className="form-group">
+            <label htmlFor="channel-mode">Channel Mode:</label>
+            <select
+              id="channel-mode"
+              value={channelMode}
+              onChange={(e) => setChannelMode(e.target.value)}
+            >
+              <option value="auto">Auto (match input)</option>
+              {Object.entries(CHANNEL_MODES).map(([mode, { label }]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="distribution">Cycle Placement:</label>
+            <select
+              id="distribution"
+              value={distribution}
+              onChange={(e) => setDistribution(e.target.value)}
+            >
+              <option value="packed">Packed (3 cycles from the start)</option>
+              <option value="fill">Fill the whole track</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={adaptiveLevel}
+                onChange={(e) => setAdaptiveLevel(e.target.checked)}
+              />
+              {' '}Adaptive level (follow the music's loudness)
+            </label>
+          </div>
+
+          {adaptiveLevel && (
+            <div className="form-group level-range">
+              <label htmlFor="min-level">Level Range (dBFS):</label>
+              <input
+                id="min-level"
+                type="number"
+                max="0"
+                step="1"
+                value={minLevelDb}
+                onChange={(e) => setMinLevelDb(parseFloat(e.target.value))}
+              />
+              <span>to</span>
+              <input
+                id="max-level"
+                type="number"
+                max="0"
+                step="1"
+                value={maxLevelDb}
+                onChange={(e) => setMaxLevelDb(parseFloat(e.target.value))}
+              />
+              {!(minLevelDb <= maxLevelDb) && (
+                <div className="warning-message">The floor must not be above the ceiling.</div>
+              )}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="low-rate-policy">Sources under 44.1 kHz:</label>
+            <select
+              id="low-rate-policy"
+              value={lowRatePolicy}
+              onChange={(e) => setLowRatePolicy(e.target.value)}
+            >
+              {Object.entries(LOW_RATE_POLICIES).map(([policy, { label }]) => (
+                <option key={policy} value={policy}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="headroom">Clipping Protection:</label>
+            <select
+              id="headroom"
+              value={headroom}
+              onChange={(e) => setHeadroom(e.target.value)}
+            >
+              {Object.entries(HEADROOM_MODES).map(([mode, { label }]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {distribution === 'fill' && (
+            <div className="form-group">
+              <label htmlFor="interval">Seconds Between Cycles (blank = spread evenly):</label>
+              <input
+                id="interval"
+                type="number"
+                min="0"
+                step="0.5"
+                value={cycleInterval}
+                onChange={(e) => setCycleInterval(e.target.value)}
+              />
+            </div>
+          )}
+        </>
+      )}
+
+      {sourceMode === 'beacon' && (
+        <>
+          <div className="form-group">
+            <label htmlFor="beacon-duration">Track Length in Seconds (blank = just fit the cycles):</label>
+            <input
+              id="beacon-duration"
+              type="number"
+              min="0"
+              step="1"
+              value={beaconDuration}
+              onChange={(e) => setBeaconDuration(e.target.value)}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="beacon-cycles">Cycles:</label>
+            <input
+              id="beacon-cycles"
+              type="number"
+              min="1"
+              step="1"
+              value={beaconCycles}
+              onChange={(e) => setBeaconCycles(Math.max(1, parseInt(e.target.value) || 1))}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="background">Background:</label>
+            <select
+              id="background"
+              value={background}
+              onChange={(e) => setBackground(e.target.value)}
+            >
+              <option value="none">Silence</option>
+              <option value="white">White noise bed</option>
+              <option value="pink">Pink noise bed</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={loop}
+                onChange={(e) => setLoop(e.target.checked)}
+              />
+              {' '}Seamless loop
+            </label>
+          </div>
+        </>
+      )}
+
       <button 
         onClick={handleEncode}
-        disabled={encoding || !audioFile || !qrText.trim()}
+        disabled={encoding || (sourceMode === 'carrier' && !audioFile) || !(qrText.trim() || (payloadType === 'binary' && payloadFile))}
         className="encode-button"
       >
-        {encoding ? 'Encoding...' : 'Encode QR into Audio'}
+        {encoding ? 'Encoding...' : sourceMode === 'beacon' ? 'Generate Beacon' : 'Encode QR into Audio'}
       </button>
 
       {error && (
@@ -137,10 +639,67 @@ const QREncoder = () => {
       {result && (
         <div className="result-section">
           <h3>Encoding Complete!</h3>
-          <p>QR Version: {result.qrData.version}</p>
+          {result.qrData && <p>QR Version: {result.qrData.version}-{result.qrData.errorCorrectionLevel}</p>}
+          {result.binaryData && (
+            <p>Binary Payload: {result.binaryData.length} bytes in {result.binaryData.frames} frames ({result.binaryData.parityBytes} parity bytes each)</p>
+          )}
+          <p>Frequency Profile: {FREQUENCY_PROFILES[result.profile].label}</p>
+          <p>Symbol Rate: {TIMING_PRESETS[result.timingPreset].label}</p>
+          {result.interleave !== 'off' && <p>Interleaving: {result.interleave}</p>}
+          <p>Tones per Slot: {result.tonesPerSlot} ({getBitsPerSymbol(withTonesPerSlot(result.profile, result.tonesPerSlot))} bits per slot, {result.cycleLength.toFixed(1)}s per cycle)</p>
+          <p>Sample Rate: {result.sampleRate}Hz{result.sourceSampleRate !== result.sampleRate ? ` (resampled from ${result.sourceSampleRate}Hz)` : ''}</p>
           <p>Duration: {result.duration.toFixed(1)}s</p>
           <p>Cycles: {result.cycles}</p>
+          <p>Cycle Start Times: {result.cycleTimes.map(t => `${t.toFixed(1)}s`).join(', ')}</p>
+          <p>Channel Mode: {CHANNEL_MODES[result.channelMode].label}</p>
+          {result.loopPoint !== null && <p>Loop Point: {result.loopPoint.toFixed(2)}s</p>}
+          <GainCurve curve={result.gainCurve} />
+
+          {result.clipping.clippedSamples > 0 && (
+            <div className="warning-message">
+              {result.clipping.mode === 'none'
+                ? `Warning: ${result.clipping.clippedSamples} samples clip (peak ${result.clipping.peakDb.toFixed(1)} dBFS). The download will be distorted; turn on clipping protection.`
+                : `${result.clipping.clippedSamples} samples would have clipped; ${HEADROOM_MODES[result.clipping.mode].label.toLowerCase()} applied up to ${result.clipping.gainReductionDb.toFixed(1)} dB of gain reduction.`}
+            </div>
+          )}
           
+          {result.verification && (
+            <div className={`verify-badge ${result.verification.passed ? 'pass' : 'fail'}`}>
+              <strong>{result.verification.passed ? 'PASS' : 'FAIL'}</strong>
+              {result.verification.passed ? ' Output decodes' : ` ${result.verification.error}`}
+              {result.verification.cycles.length > 0 && (
+                <>
+                  {` · ${result.verification.cyclesDecoded}/${result.verification.cycles.length} cycles decode on their own`}
+                  {result.verification.snrDb !== null && ` · SNR ${result.verification.snrDb.toFixed(1)} dB, margin ${result.verification.marginDb.toFixed(1)} dB`}
+                  <ul>
+                    {result.verification.cycles.map(cycle => (
+                      <li key={cycle.index}>
+                        Cycle {cycle.index + 1} at {cycle.time.toFixed(1)}s: {cycle.headerRead
+                          ? `${cycle.decoded ? 'decodes' : 'fails'}, ${cycle.symbolErrors}/${cycle.symbolCount} symbol errors, margin ${cycle.marginDb.toFixed(1)} dB`
+                          : 'stream header unreadable'}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+              {result.verification.frames.length > 0 && (
+                <>
+                  {` · ${result.verification.framesDecoded}/${result.verification.frames.length} frames decode`}
+                  {result.verification.snrDb !== null && ` · SNR ${result.verification.snrDb.toFixed(1)} dB, margin ${result.verification.marginDb.toFixed(1)} dB`}
+                  <ul>
+                    {result.verification.frames.map(frame => (
+                      <li key={`${frame.pass}-${frame.seq}`}>
+                        Pass {frame.pass + 1}, frame {frame.seq + 1} at {frame.time.toFixed(1)}s: {frame.headerRead
+                          ? `${frame.decoded ? 'decodes' : 'fails'}, ${frame.symbolErrors}/${frame.symbolCount} symbol errors, margin ${frame.marginDb.toFixed(1)} dB`
+                          : 'frame header unreadable'}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
           <div className="audio-controls">
             <audio controls src={result.audioUrl} />
             <a 
@@ -148,9 +707,29 @@ const QREncoder = () => {
               download={result.filename}
               className="download-button"
             >
-              Download Encoded Audio
+              {result.verification && !result.verification.passed ? 'Download Anyway' : 'Download Encoded Audio'}
             </a>
           </div>
+
+          {result.compressed && (
+            <div className="audio-controls">
+              {result.compressed.survived ? (
+                <p>Payload survived {result.compressed.label} at {result.compressed.bitrate / 1000} kbps ({result.compressed.cyclesFound} cycles found).</p>
+              ) : (
+                <div className="warning-message">
+                  Payload did not survive {result.compressed.label} at {result.compressed.bitrate / 1000} kbps: {result.compressed.error}. Try a higher bitrate or the robust profile.
+                </div>
+              )}
+              <audio controls src={result.compressed.url} />
+              <a
+                href={result.compressed.url}
+                download={result.compressed.filename}
+                className="download-button"
+              >
+                Download {result.compressed.label}
+              </a>
+            </div>
+          )}
         </div>
       )}
     </div>
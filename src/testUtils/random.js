@@ -0,0 +1,7 @@
+// Seeded LCG so a failing test can be replayed
+export function createRandom(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 0x100000000;
+    };
+}
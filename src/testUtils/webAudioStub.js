@@ -0,0 +1,47 @@
+// Just enough of the Web Audio API for the encoder and decoder to run under
+// Jest, which has no audio context and no TextEncoder in its jsdom globals.
+
+import { TextEncoder, TextDecoder } from 'util';
+
+export const TEST_SAMPLE_RATE = 48000;
+
+export class TestAudioBuffer {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    copyToChannel(source, channel) {
+        this.channels[channel].set(source.subarray(0, this.length));
+    }
+}
+
+export class TestAudioContext {
+    constructor() {
+        this.sampleRate = TEST_SAMPLE_RATE;
+        this.state = 'running';
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new TestAudioBuffer(numberOfChannels, length, sampleRate);
+    }
+}
+
+// Call from beforeAll; undo the console spies with jest.restoreAllMocks()
+export function installWebAudioStub({ silence = ['log', 'warn', 'error'] } = {}) {
+    global.TextEncoder = global.TextEncoder || TextEncoder;
+    global.TextDecoder = global.TextDecoder || TextDecoder;
+    window.AudioContext = TestAudioContext;
+
+    // The encoder and decoder narrate every step
+    for (const method of silence) {
+        jest.spyOn(console, method).mockImplementation(() => {});
+    }
+}
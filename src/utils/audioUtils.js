@@ -1,8 +1,114 @@
 // Audio processing utilities for Sound QR
+import { DEFAULT_PROFILE, getFrequencyProfile } from './frequencyProfiles';
+
+// Channel modes (RFC 4.1 plus 'both' for playback systems that downmix to mono)
+export const CHANNEL_MODES = {
+    mono: { label: 'Mono', outputChannels: 1, payloadChannels: 'left' },
+    stereo: { label: 'Stereo (payload in left only)', outputChannels: null, payloadChannels: 'left' },
+    'mono-to-stereo': { label: 'Mono to stereo (original copied to right)', outputChannels: 2, payloadChannels: 'left' },
+    both: { label: 'Both channels (downmix safe)', outputChannels: null, payloadChannels: 'all' }
+};
+
+// Clipping protection applied after the payload is mixed in
+export const HEADROOM_MODES = {
+    limiter: { label: 'Look-ahead limiter' },
+    attenuate: { label: 'Pre-attenuate whole file' },
+    none: { label: 'Off (warn only)' }
+};
+
+// Transition shapes for phase-continuous FSK, mapping 0..1 across a symbol boundary to 0..1
+export const TRANSITION_WINDOWS = {
+    'raised-cosine': (x) => (1 - Math.cos(Math.PI * x)) / 2,
+    // Gaussian-filtered step (as in GFSK), +/-3 sigma across the window
+    gaussian: (x) => (1 + erf((x - 0.5) * 6 / Math.SQRT2)) / 2
+};
+
+// Output rates offered by the encoder; RFC 676767 section 4.1 recommends 48 kHz
+export const OUTPUT_SAMPLE_RATES = [44100, 48000, 96000];
+
+// RFC 676767 section 4.1: sources below this rate can't hold the payload band
+export const MIN_INPUT_SAMPLE_RATE = 44100;
+
+// ADTS sampling frequency index (ISO 14496-3 table 1.18); 13-15 are reserved
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// What to do with a source under MIN_INPUT_SAMPLE_RATE
+export const LOW_RATE_POLICIES = {
+    reject: { label: 'Refuse' },
+    warn: { label: 'Warn and continue' }
+};
+
+// Capture worklet (served from public/) and the contexts it's been added to
+const CAPTURE_WORKLET_URL = `${process.env.PUBLIC_URL || ''}/worklets/pcm-capture-processor.js`;
+const captureWorkletContexts = new WeakSet();
+
+// Resampler kernel: Kaiser-windowed sinc, tabulated per zero crossing and
+// linearly interpolated between table entries
+const RESAMPLER_ZERO_CROSSINGS = 24;
+const RESAMPLER_TABLE_RESOLUTION = 512;
+const RESAMPLER_KAISER_BETA = 8.6;
+let resamplerTable = null;
+
+// Zeroth-order modified Bessel function of the first kind (power series)
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50 && term > sum * 1e-12; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+    }
+    return sum;
+}
+
+// One side of the windowed sinc, from 0 to RESAMPLER_ZERO_CROSSINGS zero crossings
+function getResamplerTable() {
+    if (!resamplerTable) {
+        const length = RESAMPLER_ZERO_CROSSINGS * RESAMPLER_TABLE_RESOLUTION;
+        const norm = besselI0(RESAMPLER_KAISER_BETA);
+        resamplerTable = new Float32Array(length + 2);
+        for (let i = 0; i <= length; i++) {
+            const x = i / RESAMPLER_TABLE_RESOLUTION;
+            const r = x / RESAMPLER_ZERO_CROSSINGS;
+            const sinc = i === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            resamplerTable[i] = sinc * besselI0(RESAMPLER_KAISER_BETA * Math.sqrt(1 - r * r)) / norm;
+        }
+    }
+    return resamplerTable;
+}
+
+// Abramowitz & Stegun 7.1.26 approximation (max error 1.5e-7)
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return sign * y;
+}
+
+// AudioBuffer-shaped wrapper around raw channel data, for code that runs
+// without an audio context (decode workers)
+export class SampleBuffer {
+    constructor(channels, sampleRate) {
+        this.channels = channels;
+        this.numberOfChannels = channels.length;
+        this.length = channels[0]?.length ?? 0;
+        this.sampleRate = sampleRate;
+        this.duration = this.length / sampleRate;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    copyToChannel(source, channel) {
+        this.channels[channel].set(source.subarray(0, this.length));
+    }
+}
+
 export class AudioProcessor {
     constructor() {
         this.audioContext = null;
         this.sampleRate = 44100;
+        this.sourceSampleRate = null; // Rate of the last loaded file before decodeAudioData resampled it
     }
 
     async initAudioContext() {
@@ -20,6 +126,47 @@ export class AudioProcessor {
         return this.audioContext;
     }
 
+    // Raw PCM from a MediaStream (mixed to mono) at the context's rate, through
+    // an AudioWorklet. onSamples gets Float32Array blocks of blockSize frames.
+    // Returns { stop }.
+    async startCapture(stream, onSamples, options = {}) {
+        const {
+            blockSize = 2048 // Frames per block (~43ms at 48kHz)
+        } = options;
+
+        await this.initAudioContext();
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        if (!captureWorkletContexts.has(this.audioContext)) {
+            await this.audioContext.audioWorklet.addModule(CAPTURE_WORKLET_URL);
+            captureWorkletContexts.add(this.audioContext);
+        }
+
+        const source = this.audioContext.createMediaStreamSource(stream);
+        const node = new AudioWorkletNode(this.audioContext, 'pcm-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            processorOptions: { blockSize }
+        });
+        node.port.onmessage = (event) => onSamples(event.data);
+
+        // The node only runs while connected to the destination; it outputs silence
+        source.connect(node);
+        node.connect(this.audioContext.destination);
+        console.log(`🎙️ Capturing ${this.sampleRate}Hz PCM in ${blockSize}-frame blocks`);
+
+        return {
+            stop: () => {
+                node.port.onmessage = null;
+                source.disconnect();
+                node.disconnect();
+            }
+        };
+    }
+
     async loadAudioFile(file) {
         // FIX: Guard against invalid inputs
         if (!file || !(file instanceof Blob)) {
@@ -42,11 +189,73 @@ export class AudioProcessor {
 
         await this.initAudioContext();
 
+        // decodeAudioData resamples to the context's rate, so read the file's own rate first
+        const sourceSampleRate = this.readSourceSampleRate(arrayBuffer);
+
+        let audioBuffer;
         try {
-            return await this.audioContext.decodeAudioData(arrayBuffer);
+            audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
         } catch (error) {
             throw new Error(`Failed to decode audio data: ${error.message}`);
         }
+
+        this.sourceSampleRate = sourceSampleRate ?? audioBuffer.sampleRate;
+        return audioBuffer;
+    }
+
+    // Sample rate from a WAV, FLAC, MP3 or ADTS AAC header; null for anything else
+    readSourceSampleRate(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const tag = (offset) => (offset + 4 <= view.byteLength
+            ? String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4))
+            : '');
+
+        if (tag(0) === 'RIFF' && tag(8) === 'WAVE') {
+            let offset = 12;
+            while (offset + 8 <= view.byteLength) {
+                const size = view.getUint32(offset + 4, true);
+                if (tag(offset) === 'fmt ' && offset + 16 <= view.byteLength) {
+                    return view.getUint32(offset + 12, true);
+                }
+                offset += 8 + size + (size & 1); // Chunks are word aligned
+            }
+            return null;
+        }
+
+        // STREAMINFO is always the first metadata block; the rate is 20 bits at byte 18
+        if (tag(0) === 'fLaC' && view.byteLength >= 21) {
+            return (view.getUint8(18) << 12) | (view.getUint8(19) << 4) | (view.getUint8(20) >> 4);
+        }
+
+        // MPEG audio: first frame header, after an ID3v2 tag if there is one
+        let offset = 0;
+        if (tag(0).startsWith('ID3') && view.byteLength >= 10) {
+            const size = [6, 7, 8, 9].reduce((sum, i) => (sum << 7) | (view.getUint8(i) & 0x7F), 0);
+            offset = 10 + size;
+        }
+        if (offset + 4 > view.byteLength || view.getUint8(offset) !== 0xFF || (view.getUint8(offset + 1) & 0xE0) !== 0xE0) {
+            return null;
+        }
+        const version = (view.getUint8(offset + 1) >> 3) & 0b11; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5, 1 reserved
+        const layer = (view.getUint8(offset + 1) >> 1) & 0b11; // 0 is reserved in MPEG audio
+
+        // ADTS (AAC) shares the sync word but always has layer bits 00
+        if (layer === 0) {
+            if ((view.getUint8(offset + 1) & 0xF0) !== 0xF0) {
+                return null;
+            }
+            const rate = ADTS_SAMPLE_RATES[(view.getUint8(offset + 2) >> 2) & 0b1111] ?? null;
+            // HE-AAC signals SBR only inside the stream, so a low core rate may
+            // decode at twice that; leave those to the decoded buffer
+            return rate !== null && rate >= MIN_INPUT_SAMPLE_RATE ? rate : null;
+        }
+
+        const rateIndex = (view.getUint8(offset + 2) >> 2) & 0b11;
+        const rates = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] }[version];
+        if (rates && rateIndex < 3) {
+            return rates[rateIndex];
+        }
+        return null;
     }
     
     // Helper for reading files in older environments
@@ -62,36 +271,64 @@ export class AudioProcessor {
         });
     }
 
-    // Generate frequency grid (15,200 - 17,090 Hz, 30 Hz steps)
-    getFrequencyGrid() {
+    // Generate the data frequency grid for a profile
+    // (standard: 15,200 - 17,090 Hz, 30 Hz steps)
+    getFrequencyGrid(profile = DEFAULT_PROFILE) {
+        const { baseFrequency, stepSize, symbolCount } = getFrequencyProfile(profile);
         const frequencies = [];
-        const baseFreq = 15200;
-        const stepSize = 30;
 
-        for (let i = 0; i < 64; i++) {
-            frequencies.push(baseFreq + (i * stepSize));
+        for (let i = 0; i < symbolCount; i++) {
+            frequencies.push(baseFrequency + (i * stepSize));
         }
         return frequencies;
     }
 
+    // Split the grid into one contiguous sub-band per simultaneous tone
+    getToneBands(profile = DEFAULT_PROFILE) {
+        const { tonesPerSlot = 1 } = getFrequencyProfile(profile);
+        const grid = this.getFrequencyGrid(profile);
+        const bandSize = grid.length / tonesPerSlot;
+        return Array.from({ length: tonesPerSlot }, (_, band) => grid.slice(band * bandSize, (band + 1) * bandSize));
+    }
+
+    // Tones sounded together for one slot value; the lowest sub-band carries the low bits
+    getSlotFrequencies(value, profile = DEFAULT_PROFILE) {
+        const bands = this.getToneBands(profile);
+        const bits = Math.log2(bands[0].length);
+        return bands.map((band, i) => band[(value >> (i * bits)) & (band.length - 1)]);
+    }
+
     // Get boundary marker frequencies for QR versions
-    getBoundaryMarkers() {
+    getBoundaryMarkers(profile = DEFAULT_PROFILE) {
+        return getFrequencyProfile(profile).markers;
+    }
+
+    // Start/end marker pair that frames raw binary payloads
+    getBinaryMarker(profile = DEFAULT_PROFILE) {
+        const { name, binaryMarker } = getFrequencyProfile(profile);
+        if (!binaryMarker) {
+            throw new Error(`Profile "${name}" has no binary marker`);
+        }
+        return binaryMarker;
+    }
+
+    // Frequency span occupied by the payload (markers + data grid)
+    getPayloadBand(profile = DEFAULT_PROFILE) {
+        const { binaryMarker } = getFrequencyProfile(profile);
+        const markers = [...Object.values(this.getBoundaryMarkers(profile)), ...(binaryMarker ? [binaryMarker] : [])];
+        const grid = this.getFrequencyGrid(profile);
+        const all = [...grid, ...markers.flatMap(marker => [marker.start, marker.end])];
         return {
-            1: { start: 14000, end: 14100 },
-            2: { start: 14200, end: 14300 },
-            3: { start: 14400, end: 14500 },
-            4: { start: 14600, end: 14700 },
-            5: { start: 14800, end: 14900 }
+            low: Math.min(...all),
+            high: Math.max(...all)
         };
     }
 
     // Generate a pure sine wave tone
-    generateTone(frequency, duration, amplitude = 0.1) {
-        if (!this.sampleRate) this.sampleRate = 48000;
-
-        const sampleCount = Math.floor(this.sampleRate * duration);
+    generateTone(frequency, duration, amplitude = 0.1, sampleRate = this.sampleRate || 48000) {
+        const sampleCount = Math.floor(sampleRate * duration);
         const samples = new Float32Array(sampleCount);
-        const omega = 2 * Math.PI * frequency / this.sampleRate; // Pre-calculate angular frequency
+        const omega = 2 * Math.PI * frequency / sampleRate; // Pre-calculate angular frequency
 
         for (let i = 0; i < sampleCount; i++) {
             // Apply a generic envelope to prevent clicking
@@ -109,23 +346,268 @@ export class AudioProcessor {
 
         return samples;
     }
+    // Synthesize consecutive { frequency, duration, amplitude } segments as one
+    // phase-continuous FSK stream. Instead of restarting a sine per segment, the
+    // phase keeps accumulating and the frequency glides across each boundary
+    // under the transition window, which keeps the spectrum tight and click-free.
+    synthesizeFSK(segments, options = {}) {
+        const {
+            amplitude = 0.1,
+            window = 'raised-cosine', // 'raised-cosine' | 'gaussian'
+            transitionTime = 0.005,
+            sampleRate = this.sampleRate || 48000
+        } = options;
+
+        const shape = TRANSITION_WINDOWS[window];
+        if (!shape) {
+            throw new Error(`Unsupported transition window: ${window}`);
+        }
+
+        // Segment boundaries in samples (floor per segment, matching the decoder's stride)
+        const lengths = segments.map(segment => Math.floor(sampleRate * segment.duration));
+        const totalSamples = lengths.reduce((sum, length) => sum + length, 0);
+        const minLength = Math.min(...lengths.filter(length => length > 0));
+        const transition = Math.max(1, Math.min(Math.floor(sampleRate * transitionTime), minLength));
+
+        // Silent segments keep the previous frequency so the phase never jumps
+        const frequencies = [];
+        let lastFrequency = segments.find(segment => segment.frequency)?.frequency || 0;
+        for (const segment of segments) {
+            if (segment.frequency) lastFrequency = segment.frequency;
+            frequencies.push(lastFrequency);
+        }
+        const levels = segments.map(segment => segment.amplitude ?? 1);
+
+        const samples = new Float32Array(totalSamples);
+        const half = transition / 2;
+        let phase = 0;
+        let start = 0;
+
+        for (let s = 0; s < segments.length; s++) {
+            const length = lengths[s];
+            const end = start + length;
+            const prevFreq = s > 0 ? frequencies[s - 1] : frequencies[s];
+            const nextFreq = s < segments.length - 1 ? frequencies[s + 1] : frequencies[s];
+            const prevLevel = s > 0 ? levels[s - 1] : levels[s];
+            const nextLevel = s < segments.length - 1 ? levels[s + 1] : levels[s];
+
+            for (let n = start; n < end; n++) {
+                let frequency = frequencies[s];
+                let level = levels[s];
+
+                if (n - start < half) {
+                    // Second half of the glide in from the previous segment
+                    const w = shape((n - start + half) / transition);
+                    frequency = prevFreq + (frequency - prevFreq) * w;
+                    level = prevLevel + (level - prevLevel) * w;
+                } else if (end - n <= half) {
+                    // First half of the glide out to the next segment
+                    const w = shape((n - (end - half)) / transition);
+                    frequency = frequency + (nextFreq - frequency) * w;
+                    level = level + (nextLevel - level) * w;
+                }
+
+                // Fade the whole stream in and out over one full transition, after
+                // the glide so the outer edges really start and end at zero
+                if (n < transition) {
+                    level *= shape(n / transition);
+                } else if (totalSamples - n <= transition) {
+                    level *= shape((totalSamples - n) / transition);
+                }
+
+                phase += 2 * Math.PI * frequency / sampleRate;
+                samples[n] = amplitude * level * Math.sin(phase);
+            }
+
+            // Keep the accumulator small so precision doesn't drift over long cycles
+            phase %= 2 * Math.PI;
+            start = end;
+        }
+
+        return samples;
+    }
+
+    // Short-term loudness of the original, per segment, in full band and in the payload band
+    measureLoudnessEnvelope(audioBuffer, options = {}) {
+        const band = this.getPayloadBand(options.profile);
+        const {
+            segmentDuration = 0.25,
+            bandLow = band.low,
+            bandHigh = band.high
+        } = options;
+
+        const sampleRate = audioBuffer.sampleRate;
+        const mono = this.downmixToMono(audioBuffer);
+        const banded = this.bandpassFilter(mono, bandLow, bandHigh, sampleRate);
+        const segmentSamples = Math.max(1, Math.floor(sampleRate * segmentDuration));
+        const segments = [];
+
+        for (let start = 0; start < mono.length; start += segmentSamples) {
+            const end = Math.min(start + segmentSamples, mono.length);
+            let fullSum = 0;
+            let bandSum = 0;
+            for (let i = start; i < end; i++) {
+                fullSum += mono[i] * mono[i];
+                bandSum += banded[i] * banded[i];
+            }
+            segments.push({
+                time: (start + end) / 2 / sampleRate,
+                fullBandRms: Math.sqrt(fullSum / (end - start)),
+                bandRms: Math.sqrt(bandSum / (end - start))
+            });
+        }
+
+        return segments;
+    }
+
+    // RBJ band-pass biquad (0dB peak gain) centred on the geometric mean of the edges
+    bandpassFilter(samples, lowFreq, highFreq, sampleRate) {
+        const centre = Math.sqrt(lowFreq * highFreq);
+        const q = centre / (highFreq - lowFreq);
+        const w0 = 2 * Math.PI * centre / sampleRate;
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+        const b0 = alpha / a0;
+        const b2 = -alpha / a0;
+        const a1 = -2 * Math.cos(w0) / a0;
+        const a2 = (1 - alpha) / a0;
+
+        const output = new Float32Array(samples.length);
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const x0 = samples[i];
+            const y0 = b0 * x0 + b2 * x2 - a1 * y1 - a2 * y2;
+            output[i] = y0;
+            x2 = x1; x1 = x0;
+            y2 = y1; y1 = y0;
+        }
+        return output;
+    }
+
+    // Multiply samples by a gain curve given as [{ time, gain }], interpolating linearly
+    applyGainCurve(samples, curve, sampleRate) {
+        if (curve.length === 0) return samples;
+
+        let point = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const t = i / sampleRate;
+            while (point < curve.length - 1 && curve[point + 1].time <= t) {
+                point++;
+            }
+
+            let gain = curve[point].gain;
+            if (t > curve[point].time && point < curve.length - 1) {
+                const next = curve[point + 1];
+                const frac = (t - curve[point].time) / (next.time - curve[point].time);
+                gain += (next.gain - gain) * frac;
+            } else if (t < curve[0].time) {
+                gain = curve[0].gain;
+            }
+
+            samples[i] *= gain;
+        }
+        return samples;
+    }
+
+    // Generate a noise bed ('white' or 'pink') with the given peak level
+    generateNoise(length, type = 'white', level = 0.003) {
+        const samples = new Float32Array(length);
+
+        if (type === 'white') {
+            for (let i = 0; i < length; i++) {
+                samples[i] = (Math.random() * 2 - 1) * level;
+            }
+            return samples;
+        }
+
+        if (type !== 'pink') {
+            throw new Error(`Unsupported noise type: ${type}`);
+        }
+
+        // Paul Kellet's economy pink filter (-3dB/octave)
+        let b0 = 0, b1 = 0, b2 = 0;
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            const white = Math.random() * 2 - 1;
+            b0 = 0.99765 * b0 + white * 0.0990460;
+            b1 = 0.96300 * b1 + white * 0.2965164;
+            b2 = 0.57000 * b2 + white * 1.0526913;
+            samples[i] = b0 + b1 + b2 + white * 0.1848;
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+
+        const scale = peak > 0 ? level / peak : 0;
+        for (let i = 0; i < length; i++) {
+            samples[i] *= scale;
+        }
+        return samples;
+    }
+
+    // Crossfade the last `fadeSamples` into the head so the result loops
+    // without a seam. Returns a buffer that is `fadeSamples` shorter.
+    makeLoopable(samples, fadeSamples) {
+        const fade = Math.min(fadeSamples, Math.floor(samples.length / 2));
+        const loopLength = samples.length - fade;
+        const looped = samples.slice(0, loopLength);
+
+        for (let i = 0; i < fade; i++) {
+            // Equal-power crossfade keeps the noise level constant through the seam
+            const t = i / fade;
+            looped[i] = samples[i] * Math.sin(t * Math.PI / 2) +
+                samples[loopLength + i] * Math.cos(t * Math.PI / 2);
+        }
+
+        return looped;
+    }
+
+    // Resolve the RFC 4.1 channel mode for a given input channel count
+    resolveChannelMode(channelMode, inputChannels) {
+        const mode = channelMode === 'auto'
+            ? (inputChannels > 1 ? 'stereo' : 'mono')
+            : channelMode;
+
+        if (!CHANNEL_MODES[mode]) {
+            throw new Error(`Unsupported channel mode: ${channelMode}`);
+        }
+        if (mode === 'stereo' && inputChannels < 2) {
+            throw new Error('Stereo mode requires a stereo input. Use mono-to-stereo for mono files.');
+        }
+
+        return mode;
+    }
+
     // Fix AudioBuffer creation for browser compatibility
-    mixAudioBuffers(originalBuffer, encodedSamples, amplitude = 0.1) {
+    mixAudioBuffers(originalBuffer, encodedSamples, amplitude = 0.1, channelMode = 'auto') {
         // Ensure audio context is available
         if (!this.audioContext) {
             throw new Error('Audio context not initialized. Call initAudioContext() first.');
         }
 
-        // Create new buffer with same properties as original
+        const mode = this.resolveChannelMode(channelMode, originalBuffer.numberOfChannels);
+        const { outputChannels, payloadChannels } = CHANNEL_MODES[mode];
+        const channelCount = outputChannels || originalBuffer.numberOfChannels;
+
+        // Mono and mono-to-stereo start from a single (downmixed) source channel
+        const sources = [];
+        if (mode === 'mono' || mode === 'mono-to-stereo') {
+            const downmix = this.downmixToMono(originalBuffer);
+            for (let channel = 0; channel < channelCount; channel++) {
+                sources.push(downmix);
+            }
+        } else {
+            for (let channel = 0; channel < channelCount; channel++) {
+                sources.push(originalBuffer.getChannelData(channel));
+            }
+        }
+
         const mixed = this.audioContext.createBuffer(
-            originalBuffer.numberOfChannels,
+            channelCount,
             Math.max(originalBuffer.length, encodedSamples.length),
             originalBuffer.sampleRate
         );
 
-        // Copy original audio and add encoded data
-        for (let channel = 0; channel < originalBuffer.numberOfChannels; channel++) {
-            const originalData = originalBuffer.getChannelData(channel);
+        for (let channel = 0; channel < channelCount; channel++) {
+            const originalData = sources[channel];
             const mixedData = mixed.getChannelData(channel);
 
             // Copy original audio
@@ -133,8 +615,8 @@ export class AudioProcessor {
                 mixedData[i] = originalData[i];
             }
 
-            // Add encoded data to left channel (or mono channel)
-            if (channel === 0) {
+            // Add encoded data to the payload channels (left only unless 'both')
+            if (payloadChannels === 'all' || channel === 0) {
                 for (let i = 0; i < encodedSamples.length && i < mixedData.length; i++) {
                     mixedData[i] += encodedSamples[i] * amplitude;
                 }
@@ -144,4 +626,227 @@ export class AudioProcessor {
         return mixed;
     }
 
+    // Keep a mixed buffer under the ceiling. Counts the samples that would have
+    // clipped, then (optionally) fixes them in place:
+    //   'limiter'   - look-ahead peak limiter, only touches the loud passages
+    //   'attenuate' - one static gain for the whole buffer
+    //   'none'      - report only
+    applyHeadroom(buffer, options = {}) {
+        const {
+            mode = 'limiter',
+            ceilingDb = -0.1,
+            lookahead = 0.005, // Seconds the limiter starts reducing gain ahead of a peak
+            release = 0.05 // Seconds to recover after a peak
+        } = options;
+
+        if (!HEADROOM_MODES[mode]) {
+            throw new Error(`Unsupported headroom mode: ${mode}`);
+        }
+
+        const ceiling = Math.pow(10, ceilingDb / 20);
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+
+        // Linked-channel peak per sample, so limiting never shifts the stereo image
+        const framePeaks = new Float32Array(buffer.length);
+        let clippedSamples = 0;
+        let peak = 0;
+        for (const data of channels) {
+            for (let i = 0; i < data.length; i++) {
+                const level = Math.abs(data[i]);
+                if (level > 1) clippedSamples++;
+                if (level > framePeaks[i]) framePeaks[i] = level;
+                if (level > peak) peak = level;
+            }
+        }
+
+        const report = {
+            mode,
+            clippedSamples,
+            peakDb: 20 * Math.log10(Math.max(peak, 1e-9)),
+            ceilingDb,
+            gainReductionDb: 0
+        };
+
+        if (mode === 'none' || peak <= ceiling) {
+            return report;
+        }
+
+        if (mode === 'attenuate') {
+            const gain = ceiling / peak;
+            for (const data of channels) {
+                for (let i = 0; i < data.length; i++) {
+                    data[i] *= gain;
+                }
+            }
+            report.gainReductionDb = -20 * Math.log10(gain);
+            return report;
+        }
+
+        const gain = this.computeLimiterGain(framePeaks, ceiling, buffer.sampleRate, lookahead, release);
+        let minGain = 1;
+        for (const data of channels) {
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain[i];
+            }
+        }
+        for (let i = 0; i < gain.length; i++) {
+            if (gain[i] < minGain) minGain = gain[i];
+        }
+        report.gainReductionDb = -20 * Math.log10(minGain);
+
+        console.log(`Limiter: ${clippedSamples} samples over 0dBFS, up to ${report.gainReductionDb.toFixed(2)}dB reduction`);
+        return report;
+    }
+
+    // Gain envelope for the look-ahead limiter. A sliding minimum of the required
+    // gain over +/-lookahead, smoothed by a box filter half that long, can never
+    // exceed the required gain at any sample; a release ramp then eases back to unity.
+    computeLimiterGain(framePeaks, ceiling, sampleRate, lookahead, release) {
+        const length = framePeaks.length;
+        const reach = Math.max(1, Math.floor(sampleRate * lookahead));
+        const half = Math.max(1, Math.floor(reach / 2));
+
+        const required = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            required[i] = framePeaks[i] > ceiling ? ceiling / framePeaks[i] : 1;
+        }
+
+        // Sliding minimum over [i - reach, i + reach] with a monotonic deque
+        const windowMin = new Float32Array(length);
+        const deque = new Int32Array(length);
+        let head = 0;
+        let tail = 0;
+        let next = 0;
+        for (let i = 0; i < length; i++) {
+            const right = Math.min(length - 1, i + reach);
+            for (; next <= right; next++) {
+                while (tail > head && required[deque[tail - 1]] >= required[next]) tail--;
+                deque[tail++] = next;
+            }
+            while (deque[head] < i - reach) head++;
+            windowMin[i] = required[deque[head]];
+        }
+
+        // Box smoothing over [i - half, i + half]. The edges are padded with unity
+        // gain, so clamp to the window minimum to keep the guarantee there too.
+        const smoothed = new Float32Array(length);
+        const width = 2 * half + 1;
+        let sum = half + 1; // The window just before index 0: unity padding...
+        for (let i = 0; i < half && i < length; i++) sum += windowMin[i]; // ...plus the first samples
+        for (let i = 0; i < length; i++) {
+            const entering = i + half < length ? windowMin[i + half] : 1;
+            const leaving = i - half - 1 >= 0 ? windowMin[i - half - 1] : 1;
+            sum += entering - leaving;
+            smoothed[i] = Math.min(sum / width, windowMin[i]);
+        }
+
+        // Release: recover towards unity, but never above the smoothed envelope
+        const releaseCoef = 1 - Math.exp(-1 / (sampleRate * release));
+        let current = 1;
+        for (let i = 0; i < length; i++) {
+            current = Math.min(smoothed[i], current + (1 - current) * releaseCoef);
+            smoothed[i] = current;
+        }
+
+        return smoothed;
+    }
+
+    // Band-limited resampling (Smith's windowed-sinc interpolation). When going
+    // down in rate the kernel is stretched so it also acts as the anti-aliasing
+    // low-pass; `rolloff` keeps the passband edge a little under the new Nyquist.
+    resample(samples, fromRate, toRate, options = {}) {
+        const {
+            rolloff = 0.95 // Passband edge as a fraction of the lower Nyquist
+        } = options;
+
+        if (fromRate === toRate) {
+            return Float32Array.from(samples);
+        }
+        if (!(fromRate > 0) || !(toRate > 0)) {
+            throw new Error(`Invalid resampling rates: ${fromRate}Hz → ${toRate}Hz`);
+        }
+
+        const table = getResamplerTable();
+        const ratio = toRate / fromRate;
+        const cutoff = Math.min(1, ratio) * rolloff; // Relative to the input Nyquist
+        const halfWidth = RESAMPLER_ZERO_CROSSINGS / cutoff; // Kernel half-width in input samples
+        const step = cutoff * RESAMPLER_TABLE_RESOLUTION; // Table entries per input sample
+        const output = new Float32Array(Math.floor(samples.length * ratio));
+
+        for (let n = 0; n < output.length; n++) {
+            const t = n / ratio; // Output sample position on the input timeline
+            const first = Math.max(0, Math.ceil(t - halfWidth));
+            const last = Math.min(samples.length - 1, Math.floor(t + halfWidth));
+            let sum = 0;
+
+            for (let k = first; k <= last; k++) {
+                const position = Math.abs(t - k) * step;
+                const index = Math.floor(position);
+                const fraction = position - index;
+                sum += samples[k] * (table[index] + fraction * (table[index + 1] - table[index]));
+            }
+            output[n] = sum * cutoff;
+        }
+
+        return output;
+    }
+
+    // Copy of an AudioBuffer at another sample rate, channel by channel. Without
+    // an audio context the copy is a SampleBuffer.
+    resampleBuffer(audioBuffer, toRate) {
+        if (audioBuffer.sampleRate === toRate) {
+            return audioBuffer;
+        }
+
+        console.log(`🔧 Resampling ${audioBuffer.sampleRate}Hz → ${toRate}Hz`);
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(this.resample(audioBuffer.getChannelData(channel), audioBuffer.sampleRate, toRate));
+        }
+
+        if (!this.audioContext) {
+            return new SampleBuffer(channels, toRate);
+        }
+        const resampled = this.audioContext.createBuffer(audioBuffer.numberOfChannels, channels[0].length, toRate);
+        channels.forEach((data, channel) => resampled.copyToChannel(data, channel));
+        return resampled;
+    }
+
+    // Enforce the RFC 4.1 minimum on a source rate: throws under 'reject',
+    // logs a warning under 'warn'. Returns whether the rate is below the minimum.
+    checkInputSampleRate(sampleRate, policy = 'reject') {
+        if (!LOW_RATE_POLICIES[policy]) {
+            throw new Error(`Unknown low sample rate policy: ${policy}`);
+        }
+        if (sampleRate >= MIN_INPUT_SAMPLE_RATE) {
+            return false;
+        }
+
+        const message = `Source audio is ${sampleRate}Hz; RFC 676767 section 4.1 requires at least ${MIN_INPUT_SAMPLE_RATE}Hz`;
+        if (policy === 'reject') {
+            throw new Error(message);
+        }
+        console.warn(`⚠️ ${message}. Encoding anyway: the track has no content above ${sampleRate / 2}Hz`);
+        return true;
+    }
+
+    // Average all channels into one
+    downmixToMono(audioBuffer) {
+        if (audioBuffer.numberOfChannels === 1) {
+            return audioBuffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
 }
\ No newline at end of file
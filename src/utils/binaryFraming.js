@@ -0,0 +1,243 @@
+// Binary payload framing for Sound QR
+//
+// Raw bytes are split into frames that go straight onto the symbol grid, with no
+// QR image in between. Each frame is sent as
+//
+//   [binary start marker][stream header][header codeword][body codeword][binary end marker]
+//
+// stream header: timing preset and tones per slot (see StreamHeader)
+// header: magic, sequence number, frame count, total length (2 bytes),
+//         body length, body parity count - protected by its own short RS code
+//         so the decoder can size the body before reading it
+// body:   up to frameSize payload bytes followed by parityBytes of Reed-Solomon parity
+//
+// Bytes become symbols LSB first, the same bit order processColumn uses for
+// matrix columns.
+import { ReedSolomon } from './reedSolomon';
+import {
+    DEFAULT_PROFILE,
+    STREAM_HEADER_SYMBOLS,
+    getFrequencyProfile,
+    getBitsPerSymbol,
+    getSignallingProfile
+} from './frequencyProfiles';
+
+const FRAME_MAGIC = 0xB1;
+const HEADER_BYTES = 7;
+const HEADER_PARITY = 6;
+
+export class BinaryFramer {
+    constructor() {
+        this.headerCodec = new ReedSolomon(HEADER_PARITY);
+    }
+
+    // Accept a string (sent as UTF-8), an ArrayBuffer or a typed array
+    toBytes(payload) {
+        if (typeof payload === 'string') {
+            return new TextEncoder().encode(payload);
+        }
+        if (payload instanceof ArrayBuffer) {
+            return new Uint8Array(payload);
+        }
+        if (ArrayBuffer.isView(payload)) {
+            return new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength);
+        }
+        throw new Error('Binary payload must be a string, ArrayBuffer or typed array');
+    }
+
+    // Split the payload into Reed-Solomon protected frames plus the timing of one pass
+    buildPayload(payload, options = {}) {
+        const {
+            frameSize = 64, // Payload bytes per frame
+            parityBytes = 16, // Reed-Solomon parity per frame; corrects parityBytes / 2 byte errors
+            profile = DEFAULT_PROFILE
+        } = options;
+
+        const bytes = this.toBytes(payload);
+        if (bytes.length === 0) {
+            throw new Error('Binary payload is empty');
+        }
+        if (bytes.length > 0xFFFF) {
+            throw new Error(`Binary payload too large: ${bytes.length} bytes, maximum 65535`);
+        }
+        if (frameSize < 1 || frameSize + parityBytes > 255) {
+            throw new Error(`Frame size ${frameSize} with ${parityBytes} parity bytes exceeds the 255-byte codeword`);
+        }
+
+        const count = Math.ceil(bytes.length / frameSize);
+        if (count > 255) {
+            throw new Error(`Binary payload needs ${count} frames, maximum 255; increase frameSize`);
+        }
+
+        const bodyCodec = new ReedSolomon(parityBytes);
+        const frames = [];
+        for (let seq = 0; seq < count; seq++) {
+            const body = bytes.subarray(seq * frameSize, Math.min((seq + 1) * frameSize, bytes.length));
+            const header = Uint8Array.from([
+                FRAME_MAGIC,
+                seq,
+                count,
+                bytes.length >> 8,
+                bytes.length & 0xFF,
+                body.length,
+                parityBytes
+            ]);
+
+            frames.push({
+                seq,
+                header: this.headerCodec.encode(header),
+                body: bodyCodec.encode(body)
+            });
+        }
+
+        return {
+            payloadType: 'binary',
+            length: bytes.length,
+            frameSize,
+            parityBytes,
+            frames,
+            timing: this.getPassTiming(frames, profile)
+        };
+    }
+
+    // Symbols carried by one frame: header codeword then body codeword, each padded to whole symbols
+    frameToSymbols(frame, bitsPerSymbol) {
+        return [
+            ...this.bytesToSymbols(frame.header, bitsPerSymbol),
+            ...this.bytesToSymbols(frame.body, bitsPerSymbol)
+        ];
+    }
+
+    // Symbols needed to carry a codeword of byteCount bytes
+    getSymbolCount(byteCount, bitsPerSymbol) {
+        return Math.ceil(byteCount * 8 / bitsPerSymbol);
+    }
+
+    getHeaderSymbolCount(bitsPerSymbol) {
+        return this.getSymbolCount(HEADER_BYTES + HEADER_PARITY, bitsPerSymbol);
+    }
+
+    // Timing of a single frame, shaped like QRProcessor.getCycleTiming
+    getFrameTiming(frame, profile = DEFAULT_PROFILE) {
+        const plan = getFrequencyProfile(profile);
+        const bitsPerSymbol = getBitsPerSymbol(plan);
+        const totalChunks = this.getHeaderSymbolCount(bitsPerSymbol) + this.getSymbolCount(frame.body.length, bitsPerSymbol);
+        const dataTime = totalChunks * plan.chunkDuration;
+        const header = STREAM_HEADER_SYMBOLS * getSignallingProfile(plan).chunkDuration;
+
+        return {
+            startMarker: plan.markerDuration,
+            header,
+            chunkDuration: plan.chunkDuration,
+            endMarker: plan.markerDuration,
+            dataTime,
+            totalTime: plan.markerDuration + header + dataTime + plan.markerDuration,
+            totalChunks
+        };
+    }
+
+    // One pass sends every frame once, separated by the profile's cycle gap.
+    // totalTime/cycleGap let SoundQREncoder.planCycleTimes place passes like QR cycles.
+    getPassTiming(frames, profile = DEFAULT_PROFILE) {
+        const plan = getFrequencyProfile(profile);
+        const cycleGap = plan.cycleGap ?? 100;
+        const frameTimings = frames.map(frame => this.getFrameTiming(frame, plan));
+
+        const frameOffsets = [];
+        let totalTime = 0;
+        frameTimings.forEach((timing, i) => {
+            frameOffsets.push(totalTime);
+            totalTime += timing.totalTime + (i < frameTimings.length - 1 ? cycleGap : 0);
+        });
+
+        return {
+            startMarker: plan.markerDuration,
+            chunkDuration: plan.chunkDuration,
+            endMarker: plan.markerDuration,
+            cycleGap,
+            frameTimings,
+            frameOffsets, // Start of each frame within the pass (ms)
+            totalTime
+        };
+    }
+
+    // Decode a header from its symbols; null when uncorrectable or implausible
+    parseHeader(symbols, bitsPerSymbol) {
+        const codeword = this.symbolsToBytes(symbols, bitsPerSymbol, HEADER_BYTES + HEADER_PARITY);
+        const decoded = this.headerCodec.decode(codeword);
+        if (!decoded) return null;
+
+        const [magic, seq, count, lengthHigh, lengthLow, bodyLength, parityBytes] = decoded.data;
+        const totalLength = (lengthHigh << 8) | lengthLow;
+
+        // A short code can miscorrect into a valid-looking codeword, so sanity-check every field
+        if (magic !== FRAME_MAGIC || count === 0 || seq >= count || bodyLength === 0
+            || parityBytes < 2 || bodyLength + parityBytes > 255 || totalLength === 0) {
+            return null;
+        }
+
+        return { seq, count, totalLength, bodyLength, parityBytes, corrected: decoded.corrected };
+    }
+
+    // Decode a frame body; null when it has more errors than its parity can fix
+    decodeBody(symbols, header, bitsPerSymbol) {
+        const codeword = this.symbolsToBytes(symbols, bitsPerSymbol, header.bodyLength + header.parityBytes);
+        return new ReedSolomon(header.parityBytes).decode(codeword);
+    }
+
+    // Join decoded frame bodies (indexed by sequence number) back into the payload
+    assemble(bodies, count, totalLength) {
+        const missing = [];
+        for (let seq = 0; seq < count; seq++) {
+            if (!bodies[seq]) missing.push(seq);
+        }
+        if (missing.length > 0) {
+            throw new Error(`Missing ${missing.length} of ${count} frames (${missing.join(', ')})`);
+        }
+
+        const payload = new Uint8Array(totalLength);
+        let offset = 0;
+        for (let seq = 0; seq < count; seq++) {
+            const body = bodies[seq].subarray(0, Math.min(bodies[seq].length, totalLength - offset));
+            payload.set(body, offset);
+            offset += body.length;
+        }
+
+        if (offset !== totalLength) {
+            throw new Error(`Frames hold ${offset} bytes, header says ${totalLength}`);
+        }
+        return payload;
+    }
+
+    bytesToSymbols(bytes, bitsPerSymbol) {
+        const symbols = [];
+        const totalBits = bytes.length * 8;
+
+        for (let start = 0; start < totalBits; start += bitsPerSymbol) {
+            let value = 0;
+            for (let bit = 0; bit < bitsPerSymbol && start + bit < totalBits; bit++) {
+                const index = start + bit;
+                if ((bytes[index >> 3] >> (index & 7)) & 1) {
+                    value |= (1 << bit);
+                }
+            }
+            symbols.push(value);
+        }
+        return symbols;
+    }
+
+    symbolsToBytes(symbols, bitsPerSymbol, byteCount) {
+        const bytes = new Uint8Array(byteCount);
+        const totalBits = byteCount * 8;
+
+        symbols.forEach((value, i) => {
+            for (let bit = 0; bit < bitsPerSymbol; bit++) {
+                const index = i * bitsPerSymbol + bit;
+                if (index < totalBits && ((value >> bit) & 1)) {
+                    bytes[index >> 3] |= 1 << (index & 7);
+                }
+            }
+        });
+        return bytes;
+    }
+}
@@ -0,0 +1,82 @@
+import { TextEncoder } from 'util';
+import { BinaryFramer } from './binaryFraming';
+
+// What SoundQRDecoder does with a received frame, minus the audio
+function receiveFrames(framer, frames, bitsPerSymbol) {
+    const headerSymbols = framer.getHeaderSymbolCount(bitsPerSymbol);
+    const bodies = [];
+    let header = null;
+
+    for (const frame of frames) {
+        const symbols = framer.frameToSymbols(frame, bitsPerSymbol);
+        header = framer.parseHeader(symbols.slice(0, headerSymbols), bitsPerSymbol);
+        const body = framer.decodeBody(symbols.slice(headerSymbols), header, bitsPerSymbol);
+        bodies[header.seq] = body.data;
+    }
+    return framer.assemble(bodies, header.count, header.totalLength);
+}
+
+describe('BinaryFramer', () => {
+    const framer = new BinaryFramer();
+
+    beforeAll(() => {
+        global.TextEncoder = global.TextEncoder || TextEncoder;
+    });
+
+    test.each([6, 10, 12])('round-trips a multi-frame payload at %i bits per symbol', bitsPerSymbol => {
+        const payload = Uint8Array.from({ length: 300 }, (_, i) => (i * 37 + 11) & 0xFF);
+        const built = framer.buildPayload(payload, { frameSize: 64, parityBytes: 16 });
+
+        expect(built.frames).toHaveLength(5);
+        expect(Array.from(receiveFrames(framer, built.frames, bitsPerSymbol))).toEqual(Array.from(payload));
+    });
+
+    test('sends strings as UTF-8', () => {
+        const built = framer.buildPayload('Grüße', { frameSize: 4, parityBytes: 4 });
+        const received = receiveFrames(framer, built.frames, 6);
+
+        expect(Array.from(received)).toEqual(Array.from(new TextEncoder().encode('Grüße')));
+    });
+
+    test('repairs header and body symbols up to the parity budget', () => {
+        const bitsPerSymbol = 6;
+        const built = framer.buildPayload(Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8]), { frameSize: 8, parityBytes: 8 });
+        const symbols = framer.frameToSymbols(built.frames[0], bitsPerSymbol);
+        const headerSymbols = framer.getHeaderSymbolCount(bitsPerSymbol);
+
+        // One symbol touches at most two bytes: two bad header symbols stay within its 3-byte budget
+        symbols[0] ^= 0x3F;
+        symbols[5] ^= 0x15;
+        symbols[headerSymbols + 2] ^= 0x2A;
+
+        const header = framer.parseHeader(symbols.slice(0, headerSymbols), bitsPerSymbol);
+        expect(header).toMatchObject({ seq: 0, count: 1, totalLength: 8, bodyLength: 8, parityBytes: 8 });
+        expect(header.corrected).toBeGreaterThan(0);
+
+        const body = framer.decodeBody(symbols.slice(headerSymbols), header, bitsPerSymbol);
+        expect(Array.from(body.data)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+
+    test('rejects a frame header with more errors than its parity can fix', () => {
+        const bitsPerSymbol = 6;
+        const built = framer.buildPayload(Uint8Array.from([1, 2, 3, 4]), { frameSize: 4, parityBytes: 4 });
+        const symbols = framer.frameToSymbols(built.frames[0], bitsPerSymbol);
+
+        // Symbols 0, 2, 4 and 6 start in bytes 0, 1, 3 and 4: four bad bytes against a 3-byte budget
+        for (const index of [0, 2, 4, 6]) {
+            symbols[index] ^= 0x3F;
+        }
+        expect(framer.parseHeader(symbols.slice(0, framer.getHeaderSymbolCount(bitsPerSymbol)), bitsPerSymbol)).toBeNull();
+    });
+
+    test('refuses to assemble a payload with frames missing', () => {
+        expect(() => framer.assemble([Uint8Array.of(1), undefined, Uint8Array.of(3)], 3, 3))
+            .toThrow('Missing 1 of 3 frames (1)');
+    });
+
+    test('rejects payloads the frame header cannot describe', () => {
+        expect(() => framer.buildPayload(new Uint8Array(0))).toThrow('Binary payload is empty');
+        expect(() => framer.buildPayload(new Uint8Array(0x10000))).toThrow('Binary payload too large');
+        expect(() => framer.buildPayload(new Uint8Array(10), { frameSize: 250, parityBytes: 16 })).toThrow('exceeds the 255-byte codeword');
+    });
+});
@@ -0,0 +1,397 @@
+// Compressed export for Sound QR
+//
+// Lossy codecs often low-pass around 16 kHz, which wipes the upper part of the
+// standard grid, so every compressed file is decoded again straight away to
+// report whether the payload survived the chosen bitrate.
+//
+// Two encoding paths, picked per browser:
+//   webcodecs     - AudioEncoder, faster than real time. Opus packets are muxed
+//                   into Ogg here; AAC comes out ADTS framed and MP3 frames are
+//                   self-delimiting, so both are written as-is.
+//   mediarecorder - plays the buffer into a MediaStream and records it, so it
+//                   takes as long as the track.
+//
+// Nothing is bundled, so a format is only offered where the browser can encode it
+// (MP3 in particular is rarely available).
+import { AudioProcessor } from './audioUtils';
+import { SoundQRDecoder } from './soundQRDecoder';
+import { BinaryFramer } from './binaryFraming';
+
+export const COMPRESSED_FORMATS = {
+    opus: {
+        label: 'Opus (.ogg)',
+        codec: 'opus',
+        extension: 'ogg',
+        mimeType: 'audio/ogg',
+        sampleRate: 48000, // Opus always runs at 48 kHz
+        encoderConfig: {},
+        recorderTypes: ['audio/ogg;codecs=opus', 'audio/webm;codecs=opus']
+    },
+    aac: {
+        label: 'AAC (.aac)',
+        codec: 'mp4a.40.2',
+        extension: 'aac',
+        mimeType: 'audio/aac',
+        sampleRate: null,
+        encoderConfig: { aac: { format: 'adts' } },
+        recorderTypes: ['audio/mp4;codecs=mp4a.40.2', 'audio/mp4']
+    },
+    mp3: {
+        label: 'MP3',
+        codec: 'mp3',
+        extension: 'mp3',
+        mimeType: 'audio/mpeg',
+        sampleRate: null,
+        encoderConfig: {},
+        recorderTypes: ['audio/mpeg']
+    }
+};
+
+export const COMPRESSED_BITRATES = [64000, 96000, 128000, 160000, 192000, 256000, 320000];
+
+// Fallback Opus encoder delay (libopus at 48 kHz) when the encoder doesn't report an OpusHead
+const DEFAULT_OPUS_PRE_SKIP = 312;
+const OGG_SERIAL = 0x534F5152;
+
+// Ogg page checksum: CRC-32, polynomial 0x04C11DB7, MSB first, no reflection
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggChecksum(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+    }
+    return crc;
+}
+
+// One Ogg page holding whole packets
+function buildOggPage(packets, { headerType, granule, sequence }) {
+    const lacing = packets.flatMap(packet => [
+        ...new Array(Math.floor(packet.length / 255)).fill(255),
+        packet.length % 255
+    ]);
+    const bodyLength = packets.reduce((sum, packet) => sum + packet.length, 0);
+    const page = new Uint8Array(27 + lacing.length + bodyLength);
+    const view = new DataView(page.buffer);
+
+    page.set([0x4F, 0x67, 0x67, 0x53], 0); // 'OggS'
+    view.setUint8(4, 0); // Stream structure version
+    view.setUint8(5, headerType);
+    view.setUint32(6, granule % 0x100000000, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, OGG_SERIAL, true);
+    view.setUint32(18, sequence, true);
+    view.setUint8(26, lacing.length);
+    page.set(lacing, 27);
+
+    let offset = 27 + lacing.length;
+    for (const packet of packets) {
+        page.set(packet, offset);
+        offset += packet.length;
+    }
+    view.setUint32(22, oggChecksum(page), true);
+    return page;
+}
+
+// Ogg Opus stream (RFC 7845) from raw Opus packets with their durations in 48 kHz samples
+function muxOggOpus(packets, { channels, preSkip, inputSampleRate, totalSamples }) {
+    const head = new Uint8Array(19);
+    const headView = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'), 0);
+    headView.setUint8(8, 1); // Version
+    headView.setUint8(9, channels);
+    headView.setUint16(10, preSkip, true);
+    headView.setUint32(12, inputSampleRate, true);
+    headView.setInt16(16, 0, true); // Output gain
+    headView.setUint8(18, 0); // Channel mapping family 0: mono or stereo
+
+    const vendor = new TextEncoder().encode('Sound QR');
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const tagsView = new DataView(tags.buffer);
+    tags.set(new TextEncoder().encode('OpusTags'), 0);
+    tagsView.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    tagsView.setUint32(12 + vendor.length, 0, true); // No user comments
+
+    const pages = [
+        buildOggPage([head], { headerType: 0x02, granule: 0, sequence: 0 }),
+        buildOggPage([tags], { headerType: 0, granule: 0, sequence: 1 })
+    ];
+
+    // Audio pages of up to about a second; the last granule trims the encoder padding
+    let pagePackets = [];
+    let pageLacing = 0;
+    let granule = preSkip;
+    packets.forEach(({ data, samples }, index) => {
+        const lacing = Math.floor(data.length / 255) + 1;
+        pagePackets.push(data);
+        pageLacing += lacing;
+        granule += samples;
+
+        const isLast = index === packets.length - 1;
+        const nextLacing = isLast ? 0 : Math.floor(packets[index + 1].data.length / 255) + 1;
+        if (isLast || pageLacing + nextLacing > 255 || pagePackets.length >= 50) {
+            pages.push(buildOggPage(pagePackets, {
+                headerType: isLast ? 0x04 : 0,
+                granule: isLast ? preSkip + totalSamples : granule,
+                sequence: pages.length
+            }));
+            pagePackets = [];
+            pageLacing = 0;
+        }
+    });
+
+    return pages;
+}
+
+export class CompressedExporter {
+    constructor() {
+        this.audioProcessor = new AudioProcessor();
+        this.binaryFramer = new BinaryFramer();
+    }
+
+    // Encoder config for a format and buffer shape
+    getEncoderConfig(format, sampleRate, numberOfChannels, bitrate) {
+        const spec = COMPRESSED_FORMATS[format];
+        return {
+            codec: spec.codec,
+            sampleRate: spec.sampleRate ?? sampleRate,
+            numberOfChannels,
+            bitrate,
+            ...spec.encoderConfig
+        };
+    }
+
+    // How this browser can produce a format: 'webcodecs', 'mediarecorder' or null
+    async getEncodingMethod(format, options = {}) {
+        const {
+            sampleRate = 48000,
+            numberOfChannels = 2,
+            bitrate = 128000
+        } = options;
+
+        const spec = COMPRESSED_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported compressed format: ${format}`);
+        }
+
+        if (typeof window.AudioEncoder === 'function') {
+            try {
+                const { supported } = await window.AudioEncoder.isConfigSupported(
+                    this.getEncoderConfig(format, sampleRate, numberOfChannels, bitrate)
+                );
+                if (supported) return { method: 'webcodecs' };
+            } catch (error) {
+                console.warn(`AudioEncoder rejected ${format}: ${error.message}`);
+            }
+        }
+
+        if (typeof window.MediaRecorder === 'function') {
+            const mimeType = spec.recorderTypes.find(type => window.MediaRecorder.isTypeSupported(type));
+            if (mimeType) return { method: 'mediarecorder', mimeType };
+        }
+
+        return null;
+    }
+
+    // Formats this browser can export, keyed by format name
+    async getSupportedFormats() {
+        const support = {};
+        for (const format of Object.keys(COMPRESSED_FORMATS)) {
+            support[format] = (await this.getEncodingMethod(format))?.method ?? null;
+        }
+        return support;
+    }
+
+    // Compress a buffer; resolves to { blob, extension, mimeType, method, bitrate }
+    async encode(audioBuffer, options = {}) {
+        const {
+            format = 'opus', // 'opus' | 'aac' | 'mp3'
+            bitrate = 128000 // Bits per second
+        } = options;
+
+        const spec = COMPRESSED_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported compressed format: ${format}`);
+        }
+        if (format === 'opus' && audioBuffer.numberOfChannels > 2) {
+            throw new Error('Opus export supports mono or stereo only');
+        }
+
+        const support = await this.getEncodingMethod(format, {
+            sampleRate: audioBuffer.sampleRate,
+            numberOfChannels: audioBuffer.numberOfChannels,
+            bitrate
+        });
+        if (!support) {
+            throw new Error(`This browser can't encode ${spec.label}`);
+        }
+
+        console.log(`🔧 Compressing to ${spec.label} at ${bitrate / 1000} kbps via ${support.method}`);
+
+        if (support.method === 'mediarecorder') {
+            console.log(`⏱️ MediaRecorder runs in real time: ${audioBuffer.duration.toFixed(1)}s`);
+            const blob = await this.encodeWithMediaRecorder(audioBuffer, support.mimeType, bitrate);
+            const extension = support.mimeType.startsWith('audio/webm') ? 'webm'
+                : support.mimeType.startsWith('audio/mp4') ? 'm4a'
+                    : spec.extension;
+            return { blob, extension, mimeType: support.mimeType, method: support.method, bitrate };
+        }
+
+        const parts = await this.encodeWithWebCodecs(audioBuffer, format, bitrate);
+        return {
+            blob: new Blob(parts, { type: spec.mimeType }),
+            extension: spec.extension,
+            mimeType: spec.mimeType,
+            method: support.method,
+            bitrate
+        };
+    }
+
+    // AudioEncoder path; resolves to the file's byte parts
+    async encodeWithWebCodecs(audioBuffer, format, bitrate) {
+        const spec = COMPRESSED_FORMATS[format];
+
+        // Opus only takes 48 kHz
+        if (spec.sampleRate && audioBuffer.sampleRate !== spec.sampleRate) {
+            await this.audioProcessor.initAudioContext();
+            audioBuffer = this.audioProcessor.resampleBuffer(audioBuffer, spec.sampleRate);
+        }
+
+        const { sampleRate, numberOfChannels, length } = audioBuffer;
+        const packets = [];
+        let description = null;
+        let failure = null;
+
+        const encoder = new window.AudioEncoder({
+            output: (chunk, metadata) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                packets.push({ data, samples: Math.round((chunk.duration ?? 0) * sampleRate / 1e6) });
+
+                const extra = metadata?.decoderConfig?.description;
+                if (extra) {
+                    description = ArrayBuffer.isView(extra)
+                        ? new Uint8Array(extra.buffer, extra.byteOffset, extra.byteLength)
+                        : new Uint8Array(extra);
+                }
+            },
+            error: (error) => {
+                failure = error;
+            }
+        });
+        encoder.configure(this.getEncoderConfig(format, sampleRate, numberOfChannels, bitrate));
+
+        // Feed 100ms blocks, waiting whenever the encoder falls behind
+        const blockSize = Math.floor(sampleRate / 10);
+        const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+        for (let start = 0; start < length && !failure; start += blockSize) {
+            const frames = Math.min(blockSize, length - start);
+            const planar = new Float32Array(frames * numberOfChannels);
+            channels.forEach((data, channel) => planar.set(data.subarray(start, start + frames), channel * frames));
+
+            const audioData = new window.AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round(start * 1e6 / sampleRate),
+                data: planar
+            });
+            encoder.encode(audioData);
+            audioData.close();
+
+            while (encoder.encodeQueueSize > 16) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        await encoder.flush();
+        encoder.close();
+        if (failure) {
+            throw new Error(`AudioEncoder failed: ${failure.message}`);
+        }
+
+        if (format !== 'opus') {
+            return packets.map(packet => packet.data);
+        }
+
+        // Take the encoder's delay from its OpusHead when it provides one
+        const preSkip = description && description.length >= 12
+            ? new DataView(description.buffer, description.byteOffset).getUint16(10, true)
+            : DEFAULT_OPUS_PRE_SKIP;
+        return muxOggOpus(packets, {
+            channels: numberOfChannels,
+            preSkip,
+            inputSampleRate: sampleRate,
+            totalSamples: length
+        });
+    }
+
+    // MediaRecorder path: play the buffer into a stream destination and record it
+    async encodeWithMediaRecorder(audioBuffer, mimeType, bitrate) {
+        const context = await this.audioProcessor.initAudioContext();
+        const destination = context.createMediaStreamDestination();
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(destination);
+
+        const recorder = new window.MediaRecorder(destination.stream, { mimeType, audioBitsPerSecond: bitrate });
+        const parts = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) parts.push(event.data);
+        };
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error || new Error('MediaRecorder failed'));
+        });
+
+        source.onended = () => recorder.stop();
+        recorder.start(1000);
+        source.start();
+        await stopped;
+        source.disconnect();
+
+        return new Blob(parts, { type: mimeType });
+    }
+
+    // Decode a compressed file again and compare against the payload that went in.
+    // Binary payloads may be given as a string (sent as UTF-8) or bytes, as for encode.
+    async checkSurvival(blob, payload, options = {}) {
+        const {
+            payloadType = 'qr',
+            profile = 'standard'
+        } = options;
+
+        const decoder = new SoundQRDecoder();
+        try {
+            const audioBuffer = await decoder.audioProcessor.loadAudioFile(blob);
+            const result = await decoder.decode(audioBuffer, { profile, payloadType });
+            const expected = payloadType === 'binary' ? this.binaryFramer.toBytes(payload) : payload;
+            const survived = payloadType === 'binary'
+                ? result.data.length === expected.length && result.data.every((byte, i) => byte === expected[i])
+                : result.data === expected;
+
+            console.log(`${survived ? '✅' : '❌'} Payload ${survived ? 'survived' : 'did not survive'} compression`);
+            return {
+                survived,
+                cyclesFound: result.cyclesFound,
+                corruptedColumns: result.corruptedColumns ?? null,
+                error: survived ? null : 'Decoded payload differs from the original'
+            };
+        } catch (error) {
+            console.log(`❌ Payload did not survive compression: ${error.message}`);
+            return { survived: false, cyclesFound: 0, corruptedColumns: null, error: error.message };
+        }
+    }
+}
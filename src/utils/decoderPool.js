@@ -0,0 +1,130 @@
+// Pool of decode workers for Sound QR
+//
+// Each decode runs SoundQRDecoder in a dedicated worker (src/workers/decoder.worker.js).
+// Channel data is copied once and the copies transferred, so the caller's
+// AudioBuffer stays usable and nothing is cloned on the way in. Decodes beyond
+// the pool size queue until a worker frees up.
+//
+// This module uses import.meta, which Jest can't parse: load it with import()
+// where Worker exists rather than importing it statically.
+
+// Workers kept alive: one core is left for the page
+export const DEFAULT_POOL_SIZE = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+export class DecoderPool {
+    constructor(options = {}) {
+        const {
+            size = DEFAULT_POOL_SIZE, // Decodes run in parallel at most
+            createWorker = () => new Worker(new URL('../workers/decoder.worker.js', import.meta.url))
+        } = options;
+
+        this.size = Math.max(1, size);
+        this.createWorker = createWorker;
+        this.slots = []; // { worker, job }
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    // Decode an AudioBuffer in a worker; resolves with SoundQRDecoder.decode's result
+    decode(audioBuffer, options = {}) {
+        const {
+            onProgress = null, // Called on this thread with { stage, progress }
+            ...decodeOptions // Passed to SoundQRDecoder.decode; must be cloneable
+        } = options;
+
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel).slice());
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                id: this.nextId++,
+                channels,
+                sampleRate: audioBuffer.sampleRate,
+                // Workers have no audio context; analyse at the buffer's rate unless told otherwise
+                options: { ...decodeOptions, analysisSampleRate: decodeOptions.analysisSampleRate ?? audioBuffer.sampleRate },
+                onProgress,
+                resolve,
+                reject
+            });
+            this.dispatch();
+        });
+    }
+
+    // Hand queued jobs to idle workers, starting workers up to the pool size
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(candidate => !candidate.job);
+            if (!slot && this.slots.length < this.size) {
+                slot = this.spawn();
+            }
+            if (!slot) return;
+
+            const job = this.queue.shift();
+            slot.job = job;
+            const { id, channels, sampleRate, options } = job;
+            slot.worker.postMessage({ type: 'decode', id, channels, sampleRate, options }, channels.map(data => data.buffer));
+            job.channels = null;
+        }
+    }
+
+    spawn() {
+        const slot = { worker: this.createWorker(), job: null };
+        slot.worker.onmessage = event => this.handleMessage(slot, event.data);
+        slot.worker.onerror = event => {
+            event.preventDefault?.();
+            this.retire(slot, new Error(`Decode worker failed: ${event.message || 'unknown error'}`));
+        };
+        this.slots.push(slot);
+        return slot;
+    }
+
+    handleMessage(slot, message) {
+        const job = slot.job;
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'progress') {
+            if (job.onProgress) {
+                job.onProgress({ stage: message.stage, progress: message.progress });
+            }
+            return;
+        }
+
+        slot.job = null;
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else {
+            job.reject(new Error(message.message));
+        }
+        this.dispatch();
+    }
+
+    // Drop a worker that crashed, failing its job; the next dispatch starts a fresh one
+    retire(slot, error) {
+        slot.worker.terminate();
+        this.slots = this.slots.filter(other => other !== slot);
+        if (slot.job) {
+            slot.job.reject(error);
+        }
+        this.dispatch();
+    }
+
+    // Stop every worker and reject pending decodes
+    terminate() {
+        const error = new Error('Decoder pool terminated');
+        for (const slot of this.slots) {
+            slot.worker.terminate();
+            if (slot.job) slot.job.reject(error);
+        }
+        for (const job of this.queue) {
+            job.reject(error);
+        }
+        this.slots = [];
+        this.queue = [];
+    }
+}
@@ -0,0 +1,240 @@
+// Frequency-plan profiles for Sound QR (RFC 676767 section 9.2: custom frequency ranges)
+//
+// A profile fixes where the payload sits in the spectrum and how long each
+// symbol lasts. The same object drives SoundQREncoder, SoundQRDecoder and
+// QRProcessor.getCycleTiming, so both ends agree as long as they pick the
+// same profile.
+//
+// Fields:
+//   baseFrequency  - first data frequency (Hz)
+//   stepSize       - spacing between data frequencies (Hz)
+//   symbolCount    - number of data frequencies, a power of two (bits per symbol = log2)
+//   markers        - { [version]: { start, end } } boundary marker frequencies (Hz);
+//                    only the versions listed here can be encoded with the profile
+//   binaryMarker   - { start, end } marker frequencies for raw binary frames (optional)
+//   chunkDuration  - time per data symbol (ms)
+//   markerDuration - time per start/end marker (ms)
+//   cycleGap       - silence after each cycle (ms)
+//   analysisWindow - longest window the decoder correlates per symbol (ms)
+//   tonesPerSlot   - simultaneous tones per slot (optional, default 1). The grid is
+//                    split into that many contiguous sub-bands and each slot sounds
+//                    one tone from every sub-band, each carrying
+//                    log2(symbolCount / tonesPerSlot) bits
+//   timingPreset   - symbol-rate preset applied by withTimingPreset (optional, default
+//                    'standard'); baseTiming keeps the unscaled chunk/analysis lengths
+//
+// Tones per slot and the timing preset are announced by the stream header that
+// follows every start marker (see StreamHeader), so the decoder only needs the
+// profile name.
+
+export const FREQUENCY_PROFILES = {
+    standard: {
+        name: 'standard',
+        label: 'Standard (15.2–17.1 kHz, mobile speakers)',
+        baseFrequency: 15200,
+        stepSize: 30,
+        symbolCount: 64,
+        markers: {
+            1: { start: 14000, end: 14100 },
+            2: { start: 14200, end: 14300 },
+            3: { start: 14400, end: 14500 },
+            4: { start: 14600, end: 14700 },
+            5: { start: 14800, end: 14900 },
+            6: { start: 13000, end: 13100 },
+            7: { start: 13200, end: 13300 },
+            8: { start: 13400, end: 13500 },
+            9: { start: 13600, end: 13700 },
+            10: { start: 13800, end: 13900 }
+        },
+        binaryMarker: { start: 12800, end: 12900 },
+        chunkDuration: 60,
+        markerDuration: 100,
+        cycleGap: 100,
+        analysisWindow: 20
+    },
+
+    // Professional monitors and interfaces that reproduce up to 20 kHz:
+    // wider steps and shorter chunks, further out of the audible band
+    wideband: {
+        name: 'wideband',
+        label: 'Wideband (16.5–19.7 kHz, studio equipment)',
+        baseFrequency: 16500,
+        stepSize: 50,
+        symbolCount: 64,
+        markers: {
+            1: { start: 15500, end: 15600 },
+            2: { start: 15700, end: 15800 },
+            3: { start: 15900, end: 16000 },
+            4: { start: 16100, end: 16200 },
+            5: { start: 16300, end: 16400 },
+            6: { start: 14500, end: 14600 },
+            7: { start: 14700, end: 14800 },
+            8: { start: 14900, end: 15000 },
+            9: { start: 15100, end: 15200 },
+            10: { start: 15300, end: 15400 }
+        },
+        binaryMarker: { start: 14300, end: 14400 },
+        chunkDuration: 40,
+        markerDuration: 100,
+        cycleGap: 100,
+        analysisWindow: 20
+    },
+
+    // Audible "modem" plan for laptop speakers, Bluetooth codecs and phone/VoIP
+    // calls, which cut everything above ~3.4 kHz. Fewer, wider-spaced symbols and
+    // longer chunks so each tone survives codec smearing; it is clearly audible.
+    // Versions stop at 5: there is no room for more markers inside the phone
+    // band, and a version 6+ cycle would run past a minute at this symbol rate.
+    robust: {
+        name: 'robust',
+        label: 'Robust (1.0–3.3 kHz audible, phone calls & cheap speakers)',
+        baseFrequency: 1000,
+        stepSize: 75,
+        symbolCount: 32,
+        markers: {
+            1: { start: 400, end: 450 },
+            2: { start: 500, end: 550 },
+            3: { start: 600, end: 650 },
+            4: { start: 700, end: 750 },
+            5: { start: 800, end: 850 }
+        },
+        binaryMarker: { start: 300, end: 350 },
+        chunkDuration: 120,
+        markerDuration: 200,
+        cycleGap: 200,
+        analysisWindow: 40
+    }
+};
+
+export const DEFAULT_PROFILE = 'standard';
+
+// Tones-per-slot choices offered in the UI; 1 is the classic single-tone layout.
+// Splitting the grid costs bits per tone, so on a 64-tone grid two tones carry
+// 10 bits per slot (not 12) and four carry 16; on the 32-tone robust grid 8 and 12.
+export const TONES_PER_SLOT_OPTIONS = [1, 2, 4];
+
+// Symbol-rate presets. Only data symbols are scaled: marker lengths stay fixed so
+// the decoder can find a cycle before it knows which preset it uses.
+// code is the value sent in the stream header.
+export const TIMING_PRESETS = {
+    fast: { label: 'Fast (half-length symbols, quiet rooms)', code: 0, symbolScale: 0.5 },
+    standard: { label: 'Standard', code: 1, symbolScale: 1 },
+    robust: { label: 'Robust (double-length symbols, noisy venues)', code: 2, symbolScale: 2 }
+};
+
+// Symbols in the stream header that follows every start marker
+export const STREAM_HEADER_SYMBOLS = 3;
+
+// Resolve a profile name (or a profile object) to a validated profile
+export function getFrequencyProfile(profile = DEFAULT_PROFILE) {
+    if (profile && typeof profile === 'object') {
+        validateProfile(profile);
+        return profile;
+    }
+
+    const resolved = FREQUENCY_PROFILES[profile];
+    if (!resolved) {
+        throw new Error(`Unknown frequency profile: ${profile}`);
+    }
+    return resolved;
+}
+
+// Add (or replace) a named profile so it can be selected by name
+export function registerFrequencyProfile(profile) {
+    validateProfile(profile);
+    FREQUENCY_PROFILES[profile.name] = profile;
+    return profile;
+}
+
+// Copy of a profile that sends `tonesPerSlot` simultaneous tones per slot.
+// The name is kept: it is still the same frequency plan, just laid out differently.
+export function withTonesPerSlot(profile, tonesPerSlot = 1) {
+    const resolved = getFrequencyProfile(profile);
+    if ((resolved.tonesPerSlot ?? 1) === tonesPerSlot) {
+        return resolved;
+    }
+    const variant = { ...resolved, tonesPerSlot };
+    validateProfile(variant);
+    return variant;
+}
+
+// Copy of a profile with its data symbols stretched or shortened by a timing preset
+export function withTimingPreset(profile, timingPreset = 'standard') {
+    const resolved = getFrequencyProfile(profile);
+    const preset = TIMING_PRESETS[timingPreset];
+    if (!preset) {
+        throw new Error(`Unknown timing preset: ${timingPreset}`);
+    }
+    if ((resolved.timingPreset ?? 'standard') === timingPreset) {
+        return resolved;
+    }
+
+    const baseTiming = resolved.baseTiming ?? {
+        chunkDuration: resolved.chunkDuration,
+        analysisWindow: resolved.analysisWindow ?? 20
+    };
+    return {
+        ...resolved,
+        timingPreset,
+        baseTiming,
+        chunkDuration: Math.round(baseTiming.chunkDuration * preset.symbolScale),
+        analysisWindow: Math.round(baseTiming.analysisWindow * preset.symbolScale)
+    };
+}
+
+export function getTimingPreset(profile) {
+    return getFrequencyProfile(profile).timingPreset ?? 'standard';
+}
+
+// Layout the stream header is always sent in: standard timing, one tone per slot
+export function getSignallingProfile(profile) {
+    return withTonesPerSlot(withTimingPreset(profile, 'standard'), 1);
+}
+
+export function getTonesPerSlot(profile) {
+    return getFrequencyProfile(profile).tonesPerSlot ?? 1;
+}
+
+// Bits carried by one slot: every simultaneous tone together
+export function getBitsPerSymbol(profile) {
+    const { symbolCount, tonesPerSlot = 1 } = getFrequencyProfile(profile);
+    return tonesPerSlot * Math.log2(symbolCount / tonesPerSlot);
+}
+
+function validateProfile(profile) {
+    const required = ['name', 'baseFrequency', 'stepSize', 'symbolCount', 'markers', 'chunkDuration', 'markerDuration'];
+    const missing = required.filter(field => profile[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Frequency profile is missing: ${missing.join(', ')}`);
+    }
+
+    if (!Number.isInteger(Math.log2(profile.symbolCount))) {
+        throw new Error(`Profile "${profile.name}": symbolCount must be a power of two, got ${profile.symbolCount}`);
+    }
+
+    // The stream header spreads its 4-bit fields across the grid
+    if (profile.symbolCount < 16) {
+        throw new Error(`Profile "${profile.name}": symbolCount must be at least 16, got ${profile.symbolCount}`);
+    }
+
+    // Every sub-band needs at least two tones to carry a bit
+    const tonesPerSlot = profile.tonesPerSlot ?? 1;
+    if (!Number.isInteger(Math.log2(tonesPerSlot)) || tonesPerSlot > profile.symbolCount / 2) {
+        throw new Error(`Profile "${profile.name}": tonesPerSlot must be a power of two up to ${profile.symbolCount / 2}, got ${tonesPerSlot}`);
+    }
+
+    // Markers must stay clear of the data grid or they'd be read as symbols
+    const gridLow = profile.baseFrequency - profile.stepSize / 2;
+    const gridHigh = profile.baseFrequency + (profile.symbolCount - 0.5) * profile.stepSize;
+    const markers = Object.entries(profile.markers).map(([version, marker]) => [`version ${version}`, marker]);
+    if (profile.binaryMarker) {
+        markers.push(['binary', profile.binaryMarker]);
+    }
+    for (const [owner, { start, end }] of markers) {
+        for (const frequency of [start, end]) {
+            if (frequency >= gridLow && frequency <= gridHigh) {
+                throw new Error(`Profile "${profile.name}": ${owner} marker ${frequency}Hz collides with the data grid`);
+            }
+        }
+    }
+}
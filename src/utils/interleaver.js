@@ -0,0 +1,113 @@
+// Codeword interleaving for Sound QR cycles
+//
+// A burst of noise (a cough, a door slam) wipes a run of consecutive chunks.
+// Sent column by column, that is a run of neighbouring matrix columns, and the
+// codewords in those columns' strips lose most of their bits together.
+//
+// Interleaving moves whole codewords instead of single modules. The data
+// modules are cut into 8-module units along QR's own placement order, so each
+// unit is one codeword, and the cycle sends those units in a strided order:
+// neighbouring units on the air are codewords far apart in the matrix and, for
+// versions with several Reed-Solomon blocks, in different blocks. A burst still
+// damages about as many codewords as before (whole units, never a bit of each),
+// but they are spread across the matrix and the blocks instead of sitting in a
+// few adjacent columns. Function patterns stay where they are, as do the
+// remainder bits past the last whole codeword.
+//
+// With rotation each cycle starts the order a quarter of the units further on,
+// so a burst that repeats with the cycle (a looping beacon next to a periodic
+// noise) lands on different codewords every time, which is what lets combined
+// cycles fill in each other's gaps.
+//
+// The order only depends on the matrix size and the rotation, both of which
+// the decoder knows from the markers and the stream header.
+import { QRProcessor } from './qrUtils';
+
+export const INTERLEAVE_ROTATIONS = 4;
+
+const UNIT_MODULES = 8; // One codeword
+
+// Block counts up to version 10 (1, 2, 4, 5, 6, 8) share no factor with a stride
+// coprime to 30, so consecutive units fall in different blocks
+const BLOCK_FACTORS = 30;
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+export class Interleaver {
+    constructor() {
+        this.qrProcessor = new QRProcessor();
+        this.moduleMaps = new Map();
+    }
+
+    // Step between the codewords of consecutive units on the air: near 0.38 of
+    // the unit count, so any run of units spreads evenly over the matrix
+    getUnitStride(units) {
+        let stride = Math.max(1, Math.round(units * 0.382));
+        while (stride < units && (gcd(stride, units) !== 1 || gcd(stride, BLOCK_FACTORS) !== 1)) {
+            stride++;
+        }
+        return stride < units ? stride : 1;
+    }
+
+    // Unit sent first by a cycle with this rotation
+    getUnitShift(units, rotation = 0) {
+        if (!Number.isInteger(rotation) || rotation < 0 || rotation >= INTERLEAVE_ROTATIONS) {
+            throw new Error(`Interleave rotation must be 0-${INTERLEAVE_ROTATIONS - 1}, got ${rotation}`);
+        }
+        return Math.round(rotation * units / INTERLEAVE_ROTATIONS);
+    }
+
+    // sources[k] is the matrix module (row * size + col) sent at position k
+    getModuleMap(size, rotation = 0) {
+        const key = `${size}:${rotation}`;
+        if (!this.moduleMaps.has(key)) {
+            const version = (size - 17) / 4;
+            const placed = this.qrProcessor.getDataModuleOrder(version).map(([row, col]) => row * size + col);
+            // Data positions in the order processColumn sends them: column by column, top to bottom
+            const sent = [...placed].sort((a, b) => (a % size) - (b % size) || a - b);
+
+            const units = Math.floor(placed.length / UNIT_MODULES);
+            const stride = this.getUnitStride(units);
+            const shift = this.getUnitShift(units, rotation);
+            const sources = Array.from({ length: size * size }, (_, i) => i);
+
+            for (let unit = 0; unit < units; unit++) {
+                const codeword = ((unit + shift) % units) * stride % units;
+                for (let bit = 0; bit < UNIT_MODULES; bit++) {
+                    sources[sent[unit * UNIT_MODULES + bit]] = placed[codeword * UNIT_MODULES + bit];
+                }
+            }
+            for (let i = units * UNIT_MODULES; i < placed.length; i++) {
+                sources[sent[i]] = placed[i];
+            }
+            this.moduleMaps.set(key, sources);
+        }
+        return this.moduleMaps.get(key);
+    }
+
+    // Matrix in transmission order: position k holds module sources[k]
+    interleave(matrix, rotation = 0) {
+        const size = matrix.length;
+        const sources = this.getModuleMap(size, rotation);
+        const result = Array.from({ length: size }, () => new Array(size));
+
+        sources.forEach((module, i) => {
+            result[Math.floor(i / size)][i % size] = matrix[Math.floor(module / size)][module % size];
+        });
+        return result;
+    }
+
+    // Undo interleave: put each received position back on its module
+    deinterleave(matrix, rotation = 0) {
+        const size = matrix.length;
+        const sources = this.getModuleMap(size, rotation);
+        const result = Array.from({ length: size }, () => new Array(size));
+
+        sources.forEach((module, i) => {
+            result[Math.floor(module / size)][module % size] = matrix[Math.floor(i / size)][i % size];
+        });
+        return result;
+    }
+}
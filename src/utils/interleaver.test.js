@@ -0,0 +1,134 @@
+import { Interleaver, INTERLEAVE_ROTATIONS } from './interleaver';
+import { SoundQREncoder } from './soundQREncoder';
+import { SoundQRDecoder } from './soundQRDecoder';
+import { installWebAudioStub, TEST_SAMPLE_RATE as SAMPLE_RATE } from '../testUtils/webAudioStub';
+import { createRandom } from '../testUtils/random';
+import { QRProcessor } from './qrUtils';
+
+const PAYLOAD = 'https://example.com/burst';
+
+function createMatrix(size) {
+    return Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, col) => row * size + col));
+}
+
+// In-band jam at the same point of the given cycles: eight random tones from
+// the data band, redrawn every 5ms, far louder than the beacon
+function jamCycles(result, offset, seconds, cycleTimes = result.cycleTimes) {
+    const data = result.audioBuffer.getChannelData(0);
+    const blockSamples = SAMPLE_RATE * 0.005;
+    const random = createRandom(0x5eed);
+
+    for (const time of cycleTimes) {
+        const from = Math.floor((time + offset) * SAMPLE_RATE);
+        const to = Math.floor((time + offset + seconds) * SAMPLE_RATE);
+        for (let block = from; block < to; block += blockSamples) {
+            const tones = Array.from({ length: 8 }, () => ({
+                frequency: 15200 + random() * 1900,
+                phase: random() * 2 * Math.PI,
+                level: random()
+            }));
+            for (let i = block; i < Math.min(to, block + blockSamples); i++) {
+                for (const { frequency, phase, level } of tones) {
+                    data[i] += level * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE + phase);
+                }
+            }
+        }
+    }
+}
+
+describe('Interleaver', () => {
+    const interleaver = new Interleaver();
+
+    test.each([21, 25, 33, 45, 57])('deinterleave undoes interleave for every rotation of a %i-module matrix', size => {
+        const matrix = createMatrix(size);
+        for (let rotation = 0; rotation < INTERLEAVE_ROTATIONS; rotation++) {
+            expect(interleaver.deinterleave(interleaver.interleave(matrix, rotation), rotation)).toEqual(matrix);
+        }
+    });
+
+    test.each([21, 25, 45])('sends whole codewords of a %i-module matrix far apart, each rotation a quarter further on', size => {
+        const version = (size - 17) / 4;
+        const qrProcessor = new QRProcessor();
+        const functionModules = qrProcessor.getFunctionModules(version);
+        const placed = qrProcessor.getDataModuleOrder(version).map(([row, col]) => row * size + col);
+        const sent = [...placed].sort((a, b) => (a % size) - (b % size) || a - b);
+        const units = Math.floor(placed.length / 8);
+        const matrix = createMatrix(size);
+        const sequences = [];
+
+        for (let rotation = 0; rotation < INTERLEAVE_ROTATIONS; rotation++) {
+            const transmitted = interleaver.interleave(matrix, rotation).flat();
+            const fixed = functionModules.flat().flatMap((isFunction, module) => (isFunction ? [module] : []));
+            expect(fixed.map(module => transmitted[module])).toEqual(fixed);
+
+            const codewords = [];
+            for (let unit = 0; unit < units; unit++) {
+                const modules = sent.slice(unit * 8, unit * 8 + 8).map(position => transmitted[position]);
+                const codeword = placed.indexOf(modules[0]) / 8;
+                expect(modules).toEqual(placed.slice(codeword * 8, codeword * 8 + 8));
+                codewords.push(codeword);
+            }
+
+            expect(new Set(codewords).size).toBe(units);
+            for (let unit = 1; unit < units; unit++) {
+                expect(Math.abs(codewords[unit] - codewords[unit - 1])).toBeGreaterThan(1);
+            }
+            sequences.push(codewords);
+        }
+
+        sequences.forEach((codewords, rotation) => {
+            const shift = Math.round(rotation * units / INTERLEAVE_ROTATIONS);
+            codewords.forEach((codeword, unit) => expect(codeword).toBe(sequences[0][(unit + shift) % units]));
+        });
+    });
+
+    test('rejects rotations the stream header cannot announce', () => {
+        expect(() => interleaver.interleave(createMatrix(21), INTERLEAVE_ROTATIONS)).toThrow('Interleave rotation must be 0-3');
+        expect(() => interleaver.deinterleave(createMatrix(21), -1)).toThrow('Interleave rotation must be 0-3');
+    });
+});
+
+describe('interleaving against in-band bursts', () => {
+    beforeAll(() => {
+        installWebAudioStub();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function decodeJammed(interleave, cycles, jam) {
+        const encoder = new SoundQREncoder();
+        const result = await encoder.generateBeacon(PAYLOAD, {
+            version: 2,
+            cycles,
+            loop: false,
+            background: 'white',
+            noiseLevel: -40,
+            interleave
+        });
+
+        jam(result);
+        try {
+            return (await new SoundQRDecoder().decode(result.audioBuffer, { combining: 'soft' })).data;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    test('a one-off half-second burst only leaves a single cycle readable with interleaving', async () => {
+        // About eight chunks, which sent column by column take out the codewords of two neighbouring columns
+        const burst = result => jamCycles(result, 4.0, 0.5);
+
+        expect(await decodeJammed('off', 1, burst)).toBeNull();
+        expect(await decodeJammed('fixed', 1, burst)).toBe(PAYLOAD);
+    }, 120000);
+
+    test('only rotated cycles combine into a decode against a burst that repeats every cycle', async () => {
+        // 2.5s is about eight of the 25 columns, more than a cycle's error correction covers
+        const burst = result => jamCycles(result, 1.0, 2.5);
+
+        expect(await decodeJammed('off', 3, burst)).toBeNull();
+        expect(await decodeJammed('rotating', 3, burst)).toBe(PAYLOAD);
+    }, 120000);
+});
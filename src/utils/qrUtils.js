@@ -1,24 +1,119 @@
+import {
+    DEFAULT_PROFILE,
+    STREAM_HEADER_SYMBOLS,
+    getFrequencyProfile,
+    getBitsPerSymbol,
+    getTonesPerSlot,
+    getTimingPreset,
+    getSignallingProfile
+} from './frequencyProfiles';
+
+// Error-correction levels with the 2-bit indicator stored in the format information
+export const ERROR_CORRECTION_LEVELS = {
+    L: { label: 'L (~7% recovery, most capacity)', bits: 0b01 },
+    M: { label: 'M (~15% recovery)', bits: 0b00 },
+    Q: { label: 'Q (~25% recovery)', bits: 0b11 },
+    H: { label: 'H (~30% recovery, least capacity)', bits: 0b10 }
+};
+
+// Every column with padding carries a check in it, however narrow. A w-bit
+// check (or w zero bits) still lets a corrupted column through with probability
+// 2^-w, so the failed columns undercount the corrupted ones; the decoder scales
+// them up with estimateCorruptedColumns before the RFC 6.1 20% rule. Padding
+// widths for 6-bit slots (standard/wideband, 1 tone) are 1 bit for v3, v6 and
+// v9, 3 for v1, v4, v7 and v10, 5 for v2, v5 and v8. Only robust v2 and v7 with
+// one tone fill their columns exactly and have nothing to check.
+
 export class QRProcessor {
   // Add the missing getVersionSpec method
-    getVersionSpec(version) {
+    // chunkSize is the number of matrix bits carried per slot in the given profile
+    // (all simultaneous tones together);
+    // dataCodewords is the data (non-EC) codeword count per error-correction level
+    getVersionSpec(version, profile = DEFAULT_PROFILE) {
         const specs = {
-            1: { size: 21, capacity: 25, chunkSize: 6 },
-            2: { size: 25, capacity: 47, chunkSize: 6 },
-            3: { size: 29, capacity: 77, chunkSize: 6 },
-            4: { size: 33, capacity: 114, chunkSize: 6 },
-            5: { size: 37, capacity: 154, chunkSize: 6 }
+            1: { size: 21, dataCodewords: { L: 19, M: 16, Q: 13, H: 9 } },
+            2: { size: 25, dataCodewords: { L: 34, M: 28, Q: 22, H: 16 } },
+            3: { size: 29, dataCodewords: { L: 55, M: 44, Q: 34, H: 26 } },
+            4: { size: 33, dataCodewords: { L: 80, M: 64, Q: 48, H: 36 } },
+            5: { size: 37, dataCodewords: { L: 108, M: 86, Q: 62, H: 46 } },
+            6: { size: 41, dataCodewords: { L: 136, M: 108, Q: 76, H: 60 } },
+            7: { size: 45, dataCodewords: { L: 156, M: 124, Q: 88, H: 66 } },
+            8: { size: 49, dataCodewords: { L: 194, M: 154, Q: 110, H: 86 } },
+            9: { size: 53, dataCodewords: { L: 232, M: 182, Q: 132, H: 100 } },
+            10: { size: 57, dataCodewords: { L: 274, M: 216, Q: 154, H: 122 } }
         };
 
         if (!specs[version]) {
             throw new Error(`Unsupported QR version: ${version}`);
         }
 
-        return specs[version];
+        return { ...specs[version], chunkSize: getBitsPerSymbol(profile) };
     }
 
-  async generateQR(text, version = 1) {
+    // Maximum characters per encoding mode for a version and error-correction level
+    getCapacity(version, errorCorrectionLevel = 'M') {
+        const spec = this.getVersionSpec(version);
+        const codewords = spec.dataCodewords[errorCorrectionLevel];
+        if (codewords === undefined) {
+            throw new Error(`Unknown error correction level: ${errorCorrectionLevel}`);
+        }
+
+        // 4-bit mode indicator, then a character count whose width grows at version 10
+        const bits = codewords * 8 - 4;
+        const countBits = version < 10 ? { numeric: 10, alphanumeric: 9, byte: 8 } : { numeric: 12, alphanumeric: 11, byte: 16 };
+
+        const numericBits = bits - countBits.numeric;
+        const numericRest = numericBits % 10;
+        const alphanumericBits = bits - countBits.alphanumeric;
+
+        return {
+            numeric: Math.floor(numericBits / 10) * 3 + (numericRest >= 7 ? 2 : numericRest >= 4 ? 1 : 0),
+            alphanumeric: Math.floor(alphanumericBits / 11) * 2 + (alphanumericBits % 11 >= 6 ? 1 : 0),
+            byte: Math.floor((bits - countBits.byte) / 8)
+        };
+    }
+
+    // Densest single mode that can hold the text; byte mode counts UTF-8 bytes
+    detectMode(text) {
+        if (/^[0-9]*$/.test(text)) {
+            return { mode: 'numeric', length: text.length };
+        }
+        if (/^[0-9A-Z $%*+\-./:]*$/.test(text)) {
+            return { mode: 'alphanumeric', length: text.length };
+        }
+        return { mode: 'byte', length: new TextEncoder().encode(text).length };
+    }
+
+    // Check the text against the capacity of the mode it will be encoded in
+    checkCapacity(text, version, errorCorrectionLevel = 'M') {
+        const { mode, length } = this.detectMode(text);
+        const capacity = this.getCapacity(version, errorCorrectionLevel)[mode];
+
+        if (length > capacity) {
+            throw new Error(`Text too long for version ${version}-${errorCorrectionLevel}: ${length} ${mode} characters, capacity ${capacity}`);
+        }
+        return { mode, length, capacity };
+    }
+
+    // Smallest of the candidate versions whose capacity fits the text
+    selectVersion(text, errorCorrectionLevel = 'M', versions = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]) {
+        const { mode, length } = this.detectMode(text);
+        const sorted = [...versions].map(Number).sort((a, b) => a - b);
+
+        for (const version of sorted) {
+            if (length <= this.getCapacity(version, errorCorrectionLevel)[mode]) {
+                return version;
+            }
+        }
+
+        const largest = sorted[sorted.length - 1];
+        throw new Error(`Text too long: ${length} ${mode} characters, version ${largest}-${errorCorrectionLevel} holds ${this.getCapacity(largest, errorCorrectionLevel)[mode]}`);
+    }
+
+  async generateQR(text, version = 1, errorCorrectionLevel = 'M') {
     const spec = this.getVersionSpec(version);
-    console.log(`Generating QR for "${text}" (Version ${version})`);
+    console.log(`Generating QR for "${text}" (Version ${version}-${errorCorrectionLevel})`);
+    this.checkCapacity(text, version, errorCorrectionLevel);
     
 
         // Import QRCode library
@@ -27,7 +122,7 @@ export class QRProcessor {
         // Generate QR code with specific options
         const qrOptions = {
             version: version,
-            errorCorrectionLevel: 'M',
+            errorCorrectionLevel: errorCorrectionLevel,
             type: 'array',
             width: spec.size,
             margin: 0
@@ -69,6 +164,7 @@ export class QRProcessor {
         return {
             matrix: matrix,
             version: version,
+            errorCorrectionLevel: errorCorrectionLevel,
             text: text
         };
   }
@@ -105,41 +201,49 @@ export class QRProcessor {
   }
 
     // Updated getCycleTiming method with more accurate values
-    getCycleTiming(version) {
-        const spec = this.getVersionSpec(version);
-
-        // Based on the encoder logs, we know:
-        // - Start marker: 100ms (0.1s)
-        // - Each chunk: 10ms (0.01s)
-        // - End marker: 100ms (0.1s)
-        // - Gap between columns: 0ms (no gap shown in logs)
+    getCycleTiming(version, profile = DEFAULT_PROFILE) {
+        const spec = this.getVersionSpec(version, profile);
+        const plan = getFrequencyProfile(profile);
 
-        const startMarker = 100;      // 100ms start marker
-        const endMarker = 100;        // 100ms end marker
-        const chunkDuration = 60;     // 60ms per chunk
+        // Marker, chunk and gap lengths come from the frequency profile
+        // (standard: 100ms markers, 60ms chunks, 100ms gap between cycles).
+        // The stream header after the start marker always uses standard timing.
+        const startMarker = plan.markerDuration;
+        const header = STREAM_HEADER_SYMBOLS * getSignallingProfile(plan).chunkDuration;
+        const endMarker = plan.markerDuration;
+        const chunkDuration = plan.chunkDuration;
         const columnGap = 0;          // No gap between columns
+        const cycleGap = plan.cycleGap ?? 100;
 
-        // Calculate total chunks needed
+        // Calculate total chunks needed; extra tones per slot shrink every column
         const chunksPerColumn = Math.ceil(spec.size / spec.chunkSize);
         const totalChunks = spec.size * chunksPerColumn;
 
         const dataTime = totalChunks * chunkDuration; // Total data encoding time
-        const totalTime = startMarker + dataTime + endMarker;
+        const totalTime = startMarker + header + dataTime + endMarker;
 
         return {
-            startMarker,        // 100ms
-            chunkDuration,      // 10ms per chunk
-            endMarker,          // 100ms
+            startMarker,        // Start marker length (ms)
+            header,             // Stream header length (ms)
+            chunkDuration,      // Time per chunk (ms)
+            endMarker,          // End marker length (ms)
             columnGap,          // 0ms gap between columns
+            cycleGap,           // Gap between cycles (ms)
             dataTime,           // Total data time
             totalTime,          // Total cycle time
             chunksPerColumn,    // Chunks per column
-            totalChunks         // Total chunks
+            totalChunks,        // Total chunks
+            timingPreset: getTimingPreset(plan), // Symbol-rate preset
+            tonesPerSlot: getTonesPerSlot(plan), // Simultaneous tones in each chunk
+            bitsPerChunk: spec.chunkSize         // Matrix bits carried by each chunk
         };
     }
 
-    processColumn(matrix, col, version) {
-        const spec = this.getVersionSpec(version);
+    // Pack a matrix column into chunk values. The bits past the last row are
+    // padding: zeros, or with columnCheck a check of the column (RFC 676767 section 6.1)
+    processColumn(matrix, col, version, profile = DEFAULT_PROFILE, options = {}) {
+        const { columnCheck = false } = options;
+        const spec = this.getVersionSpec(version, profile);
         const chunks = [];
         const numChunks = Math.ceil(spec.size / spec.chunkSize);
 
@@ -156,21 +260,282 @@ export class QRProcessor {
             }
             chunks.push(value);
         }
+
+        const paddingBits = numChunks * spec.chunkSize - spec.size;
+        if (columnCheck && paddingBits > 0) {
+            const bits = matrix.map(row => row[col]);
+            this.writePaddingBits(chunks, spec, this.getColumnCheck(bits, paddingBits));
+        }
         return chunks;
     }
 
+    // Padding bits at the end of every column (0 when the rows fill the chunks exactly)
+    getColumnPaddingBits(version, profile = DEFAULT_PROFILE) {
+        const spec = this.getVersionSpec(version, profile);
+        return Math.ceil(spec.size / spec.chunkSize) * spec.chunkSize - spec.size;
+    }
+
+    // Whether columns of this version and layout have any padding to check
+    canCheckColumns(version, profile = DEFAULT_PROFILE) {
+        return this.getColumnPaddingBits(version, profile) > 0;
+    }
+
+    // Corrupted columns behind failedColumns failed checks, allowing for the
+    // 2^-paddingBits of corrupted columns whose padding still checks out
+    estimateCorruptedColumns(failedColumns, paddingBits) {
+        return failedColumns / (1 - 2 ** -paddingBits);
+    }
+
+    // CRC-8 (poly 0x07) of a column's bits, truncated to the padding width
+    getColumnCheck(bits, width) {
+        let crc = 0;
+        for (const bit of bits) {
+            const feedback = ((crc >> 7) & 1) ^ (bit ? 1 : 0);
+            crc = (crc << 1) & 0xFF;
+            if (feedback) crc ^= 0x07;
+        }
+        return crc & ((1 << width) - 1);
+    }
+
+    // Store value in the padding bits, low bit first, continuing the column's LSB-first packing
+    writePaddingBits(chunks, spec, value) {
+        const totalBits = chunks.length * spec.chunkSize;
+        for (let index = spec.size; index < totalBits; index++) {
+            const chunk = Math.floor(index / spec.chunkSize);
+            const bit = index % spec.chunkSize;
+            if ((value >> (index - spec.size)) & 1) {
+                chunks[chunk] |= 1 << bit;
+            } else {
+                chunks[chunk] &= ~(1 << bit);
+            }
+        }
+    }
+
+    // Whether a received column's padding holds what the encoder put there:
+    // zeros, or its check when columnCheck is set. null when the column has no
+    // padding and can't tell.
+    verifyColumn(chunks, spec, columnCheck = false) {
+        const totalBits = Math.ceil(spec.size / spec.chunkSize) * spec.chunkSize;
+        if (totalBits === spec.size) return null;
+        const bitAt = index => (chunks[Math.floor(index / spec.chunkSize)] >> (index % spec.chunkSize)) & 1;
+
+        let padding = 0;
+        for (let index = spec.size; index < totalBits; index++) {
+            padding |= bitAt(index) << (index - spec.size);
+        }
+
+        if (!columnCheck) return padding === 0;
+
+        const bits = Array.from({ length: spec.size }, (_, row) => bitAt(row));
+        return padding === this.getColumnCheck(bits, totalBits - spec.size);
+    }
+
+    // Alignment pattern centre coordinates (ISO 18004 Annex E)
+    getAlignmentPositions(version) {
+        const positions = {
+            1: [],
+            2: [6, 18],
+            3: [6, 22],
+            4: [6, 26],
+            5: [6, 30],
+            6: [6, 34],
+            7: [6, 22, 38],
+            8: [6, 24, 42],
+            9: [6, 26, 46],
+            10: [6, 28, 50]
+        };
+
+        if (!positions[version]) {
+            throw new Error(`Unsupported QR version: ${version}`);
+        }
+        return positions[version];
+    }
+
+    // 18-bit version information block used by versions 7+ (BCH(18,6))
+    getVersionInfoBits(version) {
+        let remainder = version << 12;
+        for (let bit = 17; bit >= 12; bit--) {
+            if (remainder & (1 << bit)) {
+                remainder ^= 0x1F25 << (bit - 12);
+            }
+        }
+        return (version << 12) | remainder;
+    }
+
+    // Rewrite the fixed function patterns (finders, separators, timing, alignment,
+    // dark module and version information) of a matrix read back from audio.
+    // These modules never carry data, so a symbol error landing on them would
+    // otherwise stop jsQR from locating or sizing the code.
+    restoreFunctionPatterns(matrix, version) {
+        const size = this.getVersionSpec(version).size;
+        if (matrix.length !== size) {
+            throw new Error(`Matrix is ${matrix.length}x${matrix.length}, version ${version} needs ${size}x${size}`);
+        }
+
+        const set = (row, col, value) => {
+            if (row >= 0 && row < size && col >= 0 && col < size) {
+                matrix[row][col] = value;
+            }
+        };
+
+        // Finder patterns plus their one-module white separators
+        for (const [top, left] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+            for (let r = -1; r <= 7; r++) {
+                for (let c = -1; c <= 7; c++) {
+                    const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                    set(top + r, left + c, ring === 2 || ring === 4 ? 0 : 1);
+                }
+            }
+        }
+
+        // Timing patterns
+        for (let i = 8; i < size - 8; i++) {
+            const value = i % 2 === 0 ? 1 : 0;
+            matrix[6][i] = value;
+            matrix[i][6] = value;
+        }
+
+        // Alignment patterns, skipping the three that would overlap a finder
+        const positions = this.getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((row, i) => {
+            positions.forEach((col, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+                for (let r = -2; r <= 2; r++) {
+                    for (let c = -2; c <= 2; c++) {
+                        const ring = Math.max(Math.abs(r), Math.abs(c));
+                        matrix[row + r][col + c] = ring === 1 ? 0 : 1;
+                    }
+                }
+            });
+        });
+
+        // Dark module
+        matrix[size - 8][8] = 1;
+
+        // Version information, top-right and bottom-left (transposed)
+        if (version >= 7) {
+            const bits = this.getVersionInfoBits(version);
+            for (let i = 0; i < 18; i++) {
+                const value = (bits >> i) & 1;
+                const a = Math.floor(i / 3);
+                const b = size - 11 + (i % 3);
+                matrix[a][b] = value;
+                matrix[b][a] = value;
+            }
+        }
+
+        return matrix;
+    }
+
+    // size x size mask of the modules that never carry data: the function
+    // patterns restoreFunctionPatterns rewrites plus both format information copies
+    getFunctionModules(version) {
+        const size = this.getVersionSpec(version).size;
+        const unset = Array.from({ length: size }, () => new Array(size).fill(-1));
+        const mask = this.restoreFunctionPatterns(unset, version).map(row => row.map(value => value !== -1));
+
+        for (const pair of this.getFormatInfoPositions(size)) {
+            for (const [row, col] of pair) {
+                mask[row][col] = true;
+            }
+        }
+        return mask;
+    }
+
+    // [row, col] of every data module in the order QR places codeword bits:
+    // two-column strips from the right edge, alternately upwards and downwards,
+    // stepping over the vertical timing pattern (ISO 18004 7.7.3)
+    getDataModuleOrder(version) {
+        const mask = this.getFunctionModules(version);
+        const size = mask.length;
+        const order = [];
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < size; step++) {
+                const row = upward ? size - 1 - step : step;
+                for (const col of [right, right - 1]) {
+                    if (!mask[row][col]) order.push([row, col]);
+                }
+            }
+        }
+        return order;
+    }
+
+    // 15-bit format information: EC level and mask, BCH(15,5) then XOR-masked
+    getFormatInfoBits(errorCorrectionLevel, mask) {
+        const data = (ERROR_CORRECTION_LEVELS[errorCorrectionLevel].bits << 3) | mask;
+        let remainder = data << 10;
+        for (let bit = 14; bit >= 10; bit--) {
+            if (remainder & (1 << bit)) {
+                remainder ^= 0x537 << (bit - 10);
+            }
+        }
+        return ((data << 10) | remainder) ^ 0x5412;
+    }
+
+    // Module positions of format bit i (LSB first) in both copies
+    getFormatInfoPositions(size) {
+        const positions = [];
+        for (let i = 0; i < 15; i++) {
+            const vertical = i < 6 ? [i, 8] : i < 8 ? [i + 1, 8] : [size - 15 + i, 8];
+            const horizontal = i < 8 ? [8, size - 1 - i] : i < 9 ? [8, 7] : [8, 14 - i];
+            positions.push([vertical, horizontal]);
+        }
+        return positions;
+    }
+
+    // Recover the EC level and mask from the format bits. Each copy is matched
+    // to the nearest of the 32 valid codes; up to 3 bit errors are corrected.
+    readFormatInfo(matrix) {
+        const positions = this.getFormatInfoPositions(matrix.length);
+        const copies = [0, 1].map(copy => positions.reduce(
+            (bits, pair, i) => bits | ((matrix[pair[copy][0]][pair[copy][1]] & 1) << i), 0));
+
+        let best = null;
+        for (const errorCorrectionLevel of Object.keys(ERROR_CORRECTION_LEVELS)) {
+            for (let mask = 0; mask < 8; mask++) {
+                const code = this.getFormatInfoBits(errorCorrectionLevel, mask);
+                for (const read of copies) {
+                    let distance = 0;
+                    for (let diff = code ^ read; diff; diff &= diff - 1) distance++;
+                    if (!best || distance < best.distance) {
+                        best = { errorCorrectionLevel, mask, distance };
+                    }
+                }
+            }
+        }
+
+        return best.distance <= 3 ? best : null;
+    }
+
+    // Write both copies of the format information
+    writeFormatInfo(matrix, errorCorrectionLevel, mask) {
+        const bits = this.getFormatInfoBits(errorCorrectionLevel, mask);
+        this.getFormatInfoPositions(matrix.length).forEach((pair, i) => {
+            for (const [row, col] of pair) {
+                matrix[row][col] = (bits >> i) & 1;
+            }
+        });
+        return matrix;
+    }
+
   // Add the decoding methods as well
     async decodeQRMatrix(matrix) {
         if (!matrix || matrix.length === 0) return null;
 
         console.log('Attempting to decode QR matrix...');
 
-        // Import jsQR (fallback handled)
+        // Import jsQR (fallback handled; decode workers have no window)
+        const globalJsQR = typeof window !== 'undefined' ? window.jsQR : undefined;
         let jsQR;
         try {
-            jsQR = (await import('jsqr')).default || window.jsQR;
+            jsQR = (await import('jsqr')).default || globalJsQR;
         } catch (e) {
-            jsQR = window.jsQR;
+            jsQR = globalJsQR;
         }
 
         if (!jsQR) {
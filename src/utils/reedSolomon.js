@@ -0,0 +1,181 @@
+// Reed-Solomon coding over GF(256) for the binary payload mode
+//
+// Systematic code: parity bytes are appended to the message, and up to
+// parityBytes / 2 corrupted bytes anywhere in the codeword can be repaired.
+// Field polynomial 0x11D, generator roots α^0 .. α^(parityBytes-1).
+
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+
+(() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+function gfMul(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfDiv(a, b) {
+    if (b === 0) throw new Error('Division by zero in GF(256)');
+    return a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255];
+}
+
+function gfPow(exponent) {
+    return GF_EXP[((exponent % 255) + 255) % 255];
+}
+
+// Polynomials below are arrays of coefficients, lowest power first
+function polyEval(poly, x) {
+    let result = 0;
+    for (let i = poly.length - 1; i >= 0; i--) {
+        result = gfMul(result, x) ^ poly[i];
+    }
+    return result;
+}
+
+// S_j = c(α^j); all zero for a valid codeword. Byte p is the coefficient of x^(n-1-p)
+function computeSyndromes(codeword, count) {
+    const syndromes = [];
+    for (let j = 0; j < count; j++) {
+        let value = 0;
+        const root = gfPow(j);
+        for (let p = 0; p < codeword.length; p++) {
+            value = gfMul(value, root) ^ codeword[p];
+        }
+        syndromes.push(value);
+    }
+    return syndromes;
+}
+
+export class ReedSolomon {
+    constructor(parityBytes) {
+        if (!Number.isInteger(parityBytes) || parityBytes < 2 || parityBytes > 254) {
+            throw new Error(`Parity bytes must be between 2 and 254, got ${parityBytes}`);
+        }
+        this.parityBytes = parityBytes;
+
+        // g(x) = (x - α^0)(x - α^1)...(x - α^(n-1)), highest power first for the division below
+        let generator = [1];
+        for (let i = 0; i < parityBytes; i++) {
+            const next = new Array(generator.length + 1).fill(0);
+            for (let j = 0; j < generator.length; j++) {
+                next[j] ^= generator[j];
+                next[j + 1] ^= gfMul(generator[j], gfPow(i));
+            }
+            generator = next;
+        }
+        this.generator = generator;
+    }
+
+    // Message bytes followed by parity bytes
+    encode(message) {
+        if (message.length + this.parityBytes > 255) {
+            throw new Error(`Codeword too long: ${message.length} + ${this.parityBytes} parity bytes exceeds 255`);
+        }
+
+        const codeword = new Uint8Array(message.length + this.parityBytes);
+        codeword.set(message);
+
+        // Remainder of message * x^n divided by g(x)
+        const remainder = codeword.slice();
+        for (let i = 0; i < message.length; i++) {
+            const coefficient = remainder[i];
+            if (coefficient === 0) continue;
+            for (let j = 1; j < this.generator.length; j++) {
+                remainder[i + j] ^= gfMul(this.generator[j], coefficient);
+            }
+        }
+
+        codeword.set(remainder.subarray(message.length), message.length);
+        return codeword;
+    }
+
+    // Repair a received codeword (the input is left untouched).
+    // Returns { data, corrected } or null when there are too many errors.
+    decode(codeword) {
+        const n = codeword.length;
+        const received = Uint8Array.from(codeword);
+
+        const syndromes = computeSyndromes(received, this.parityBytes);
+        if (syndromes.every(value => value === 0)) {
+            return { data: received.subarray(0, n - this.parityBytes), corrected: 0 };
+        }
+
+        // Berlekamp-Massey: shortest error locator Λ(x) that generates the syndromes
+        let locator = [1];
+        let previous = [1];
+        let errorCount = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
+
+        for (let step = 0; step < this.parityBytes; step++) {
+            let discrepancy = syndromes[step];
+            for (let i = 1; i <= errorCount; i++) {
+                discrepancy ^= gfMul(locator[i] || 0, syndromes[step - i]);
+            }
+
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const scale = gfDiv(discrepancy, lastDiscrepancy);
+            const updated = locator.slice();
+            for (let i = 0; i < previous.length; i++) {
+                updated[i + shift] = (updated[i + shift] || 0) ^ gfMul(scale, previous[i]);
+            }
+
+            if (2 * errorCount <= step) {
+                previous = locator;
+                errorCount = step + 1 - errorCount;
+                lastDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = updated;
+        }
+
+        if (2 * errorCount > this.parityBytes) return null;
+
+        // Chien search: position p is in error when Λ(α^-(n-1-p)) = 0
+        const positions = [];
+        for (let p = 0; p < n; p++) {
+            if (polyEval(locator, gfPow(-(n - 1 - p))) === 0) {
+                positions.push(p);
+            }
+        }
+        if (positions.length !== errorCount) return null;
+
+        // Forney: Ω(x) = S(x)Λ(x) mod x^n, magnitude = X * Ω(X^-1) / Λ'(X^-1)
+        const evaluator = new Array(this.parityBytes).fill(0);
+        for (let i = 0; i < this.parityBytes; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) {
+                evaluator[i] ^= gfMul(syndromes[i - j], locator[j]);
+            }
+        }
+        const derivative = locator.map((coefficient, i) => (i % 2 === 1 ? coefficient : 0)).slice(1);
+
+        for (const p of positions) {
+            const X = gfPow(n - 1 - p);
+            const XInverse = gfPow(-(n - 1 - p));
+            const denominator = polyEval(derivative, XInverse);
+            if (denominator === 0) return null;
+            received[p] ^= gfMul(X, gfDiv(polyEval(evaluator, XInverse), denominator));
+        }
+
+        // A miscorrection beyond the code's power leaves non-zero syndromes
+        if (computeSyndromes(received, this.parityBytes).some(value => value !== 0)) return null;
+
+        return { data: received.subarray(0, n - this.parityBytes), corrected: positions.length };
+    }
+}
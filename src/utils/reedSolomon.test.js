@@ -0,0 +1,73 @@
+import { ReedSolomon } from './reedSolomon';
+import { createRandom } from '../testUtils/random';
+
+function randomBytes(random, length) {
+    return Uint8Array.from({ length }, () => Math.floor(random() * 256));
+}
+
+// Flip `count` distinct bytes to a different value
+function corrupt(codeword, count, random) {
+    const corrupted = codeword.slice();
+    const positions = new Set();
+    while (positions.size < count) {
+        positions.add(Math.floor(random() * codeword.length));
+    }
+    for (const position of positions) {
+        corrupted[position] ^= 1 + Math.floor(random() * 255);
+    }
+    return corrupted;
+}
+
+describe('ReedSolomon', () => {
+    test('encodes systematically: the message followed by its parity', () => {
+        const codec = new ReedSolomon(8);
+        const message = Uint8Array.from([72, 101, 108, 108, 111]);
+        const codeword = codec.encode(message);
+
+        expect(codeword).toHaveLength(13);
+        expect(Array.from(codeword.subarray(0, 5))).toEqual(Array.from(message));
+        expect(codec.decode(codeword)).toEqual({ data: message, corrected: 0 });
+    });
+
+    test.each([2, 8, 16, 32])('repairs up to %i / 2 byte errors anywhere in the codeword', parityBytes => {
+        const codec = new ReedSolomon(parityBytes);
+        const random = createRandom(parityBytes);
+
+        for (let trial = 0; trial < 50; trial++) {
+            const message = randomBytes(random, 1 + Math.floor(random() * (255 - parityBytes - 1)));
+            const codeword = codec.encode(message);
+
+            for (let errors = 1; errors <= parityBytes / 2; errors++) {
+                const decoded = codec.decode(corrupt(codeword, errors, random));
+                expect(decoded).not.toBeNull();
+                expect(decoded.corrected).toBe(errors);
+                expect(Array.from(decoded.data)).toEqual(Array.from(message));
+            }
+        }
+    });
+
+    test.each([8, 16, 32])('reports %i / 2 + 1 byte errors as uncorrectable', parityBytes => {
+        const codec = new ReedSolomon(parityBytes);
+        const random = createRandom(1000 + parityBytes);
+
+        for (let trial = 0; trial < 50; trial++) {
+            const codeword = codec.encode(randomBytes(random, 100));
+            expect(codec.decode(corrupt(codeword, parityBytes / 2 + 1, random))).toBeNull();
+        }
+    });
+
+    test('leaves the received codeword untouched', () => {
+        const codec = new ReedSolomon(4);
+        const received = corrupt(codec.encode(Uint8Array.from([1, 2, 3])), 1, createRandom(3));
+        const copy = received.slice();
+
+        codec.decode(received);
+        expect(received).toEqual(copy);
+    });
+
+    test('rejects parity counts and codewords the field cannot hold', () => {
+        expect(() => new ReedSolomon(1)).toThrow('Parity bytes must be between 2 and 254');
+        expect(() => new ReedSolomon(255)).toThrow('Parity bytes must be between 2 and 254');
+        expect(() => new ReedSolomon(16).encode(new Uint8Array(240))).toThrow('Codeword too long');
+    });
+});
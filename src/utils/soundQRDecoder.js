@@ -1,28 +1,94 @@
 import { AudioProcessor } from './audioUtils';
 import { QRProcessor } from './qrUtils';
+import { BinaryFramer } from './binaryFraming';
+import { StreamHeader } from './streamHeader';
+import { Interleaver } from './interleaver';
+import { SpectralEngine, DirectSpectrum } from './spectralEngine';
+import { SymbolTimingTracker, MAX_CLOCK_DRIFT_PPM } from './symbolTiming';
+import {
+  TIMING_PRESETS,
+  STREAM_HEADER_SYMBOLS,
+  getFrequencyProfile,
+  getBitsPerSymbol,
+  getSignallingProfile,
+  withTimingPreset,
+  withTonesPerSlot
+} from './frequencyProfiles';
+
+// How cycles of one version are merged when none decodes alone (RFC 676767 section 6.2)
+export const COMBINING_METHODS = {
+  soft: { label: 'soft decision' }, // Sum per-bit likelihoods from the tone strengths
+  majority: { label: 'majority vote' } // One hard vote per cycle and bit; ties fall back to the likelihoods
+};
 
 export class SoundQRDecoder {
   constructor() {
     this.audioProcessor = new AudioProcessor();
     this.qrProcessor = new QRProcessor();
+    this.binaryFramer = new BinaryFramer();
+    this.streamHeader = new StreamHeader();
+    this.interleaver = new Interleaver();
+    this.spectralOptions = { analysis: 'stft', window: 'rectangular' };
+    this.timingRecovery = true;
+    this.spectrum = null;
+    this.layoutTimings = new Map();
+    this.onProgress = null;
   }
 
   async decode(audioBuffer, options = {}) {
     const {
       deviceCapability = 'full',
       fastMode = true,
-      maxProcessingTime = 30000 // 30 second timeout
+      maxProcessingTime = 30000, // 30 second timeout
+      profile = 'standard', // Must match the profile the audio was encoded with (timing preset and tones per slot are read from the stream)
+      payloadType = 'qr', // 'qr' returns text, 'binary' returns a Uint8Array
+      spectralAnalysis = 'stft', // 'stft' shares one transform across every tone measurement; 'direct' correlates each one afresh (slow, for reference)
+      spectralWindow = 'rectangular', // 'rectangular' | 'hann' (see SPECTRAL_WINDOWS)
+      analysisSampleRate = null, // Rate to analyse at; null = the audio context's (workers have no context and pass the page's)
+      combining = 'soft', // 'soft' | 'majority' (see COMBINING_METHODS) | 'none' to only decode cycles one at a time
+      timingRecovery = true, // Track symbol boundaries and clock drift through each cycle (see symbolTiming.js)
+      onProgress = null // Called with { stage, progress } as the decode advances; stage is 'scanning' | 'aligning' | 'decoding'
     } = options;
 
     const startTime = Date.now();
     
     try {
-      await this.audioProcessor.initAudioContext();
+      if (spectralAnalysis !== 'stft' && spectralAnalysis !== 'direct') {
+        throw new Error(`Unknown spectral analysis: ${spectralAnalysis}`);
+      }
+      if (combining !== 'none' && !COMBINING_METHODS[combining]) {
+        throw new Error(`Unknown combining method: ${combining}`);
+      }
+      this.spectralOptions = { analysis: spectralAnalysis, window: spectralWindow };
+      this.timingRecovery = timingRecovery;
+      this.onProgress = onProgress;
+
+      if (!analysisSampleRate) {
+        await this.audioProcessor.initAudioContext();
+      }
+
+      const frequencyProfile = getFrequencyProfile(profile);
+
+      // A recording whose Nyquist sits under the payload band never held the tones
+      const band = this.audioProcessor.getPayloadBand(frequencyProfile);
+      if (audioBuffer.sampleRate / 2 <= band.high) {
+        throw new Error(`Recording is ${audioBuffer.sampleRate}Hz and can't contain the ${frequencyProfile.name} profile's tones (up to ${band.high}Hz)`);
+      }
 
-      const versionPriorities = [1, 2, 3, 4, 5]; // Start with version 1 first
+      // Analyse everything at one rate: the context's, or the one a worker was handed
+      audioBuffer = this.audioProcessor.resampleBuffer(audioBuffer, analysisSampleRate ?? this.audioProcessor.sampleRate);
+
+      if (payloadType === 'binary') {
+        return await this.decodeBinary(audioBuffer, frequencyProfile);
+      }
+      if (payloadType !== 'qr') {
+        throw new Error(`Unknown payload type: ${payloadType}`);
+      }
+
+      const versionPriorities = Object.keys(frequencyProfile.markers).map(Number); // Start with version 1 first
       
-      console.log('Starting cycle detection...');
-      const validCycles = await this.detectValidCycles(audioBuffer, versionPriorities);
+      console.log(`Starting cycle detection (${frequencyProfile.name} profile)...`);
+      const validCycles = await this.detectValidCycles(audioBuffer, versionPriorities, frequencyProfile);
       
       if (Date.now() - startTime > maxProcessingTime) {
         throw new Error('Processing timeout - operation took too long');
@@ -34,27 +100,33 @@ export class SoundQRDecoder {
 
       console.log(`Found ${validCycles.length} cycles, attempting decode...`);
       
-      // Try each cycle until one succeeds
+      // Try each cycle until one succeeds, keeping what was read for combining
+      const reads = new Map();
       for (let i = 0; i < Math.min(validCycles.length, 3); i++) {
         const cycle = validCycles[i];
         console.log(`Attempting cycle ${i + 1}: Version ${cycle.version}, confidence: ${(cycle.confidence * 100).toFixed(1)}%`);
+        this.reportProgress('decoding', i / Math.min(validCycles.length, 3));
         
         try {
-          const decodedData = await this.decodeCycle(audioBuffer, cycle);
+          const read = this.readCycleSymbols(audioBuffer.getChannelData(0), cycle, audioBuffer.sampleRate);
+          reads.set(cycle, read);
+          const decodedData = read && await this.decodeCycle(audioBuffer, cycle, read);
           
           if (decodedData) {
-            return {
-              data: decodedData,
-              version: cycle.version,
-              confidence: cycle.confidence,
-              cyclesFound: validCycles.length
-            };
+            return { ...this.formatCycleResult(cycle, decodedData, frequencyProfile), cyclesFound: validCycles.length };
           }
         } catch (cycleError) {
           console.warn(`Cycle ${i + 1} failed: ${cycleError.message}`);
           continue; // Try next cycle
         }
       }
+
+      if (combining !== 'none') {
+        const combined = await this.combineValidCycles(audioBuffer, validCycles, reads, combining, frequencyProfile);
+        if (combined) {
+          return { ...combined, cyclesFound: validCycles.length };
+        }
+      }
       
       throw new Error('All cycles failed decoding');
       
@@ -62,18 +134,134 @@ export class SoundQRDecoder {
       const processingTime = Date.now() - startTime;
       console.error(`Decoding failed after ${processingTime}ms: ${error.message}`);
       throw new Error(`Decoding failed: ${error.message}`);
+    } finally {
+      // Cached bins cover the whole recording; don't hold on to them between decodes
+      this.spectrum = null;
+      this.layoutTimings.clear();
+      this.onProgress = null;
+    }
+  }
+
+  // RFC 676767 section 6.2: partial recovery from several weak cycles. Cycles are
+  // grouped by version and the groups tried strongest first; each group needs at
+  // least two transmissions whose stream header was read. `reads` holds
+  // readCycleSymbols results already taken, keyed by cycle.
+  async combineValidCycles(audioBuffer, validCycles, reads, method, profile) {
+    const groups = new Map();
+    for (const cycle of validCycles) {
+      if (!groups.has(cycle.version)) {
+        groups.set(cycle.version, []);
+      }
+      groups.get(cycle.version).push(cycle);
+    }
+
+    const candidates = [...groups.values()]
+      .filter(cycles => cycles.length >= 2)
+      .sort((a, b) => b.reduce((sum, cycle) => sum + cycle.confidence, 0) - a.reduce((sum, cycle) => sum + cycle.confidence, 0));
+
+    for (const cycles of candidates) {
+      // The scan can find one transmission twice, a few tens of ms apart; a
+      // misaligned read is confidently wrong, so count each transmission once
+      // with the read that stood clearest above the noise
+      const transmissions = [];
+      for (const cycle of cycles) {
+        if (!reads.has(cycle)) {
+          reads.set(cycle, this.readCycleSymbols(audioBuffer.getChannelData(0), cycle, audioBuffer.sampleRate));
+        }
+        const read = reads.get(cycle);
+        if (!read) {
+          continue;
+        }
+        const quality = this.getReadQuality(read);
+        const halfCycle = audioBuffer.sampleRate * read.timing.totalTime / 2000;
+        const same = transmissions.find(other => Math.abs(other.cycle.startSample - cycle.startSample) < halfCycle);
+        if (!same) {
+          transmissions.push({ cycle, read, quality });
+        } else if (quality > same.quality) {
+          Object.assign(same, { cycle, read, quality });
+        }
+      }
+      if (transmissions.length < 2) {
+        continue;
+      }
+
+      // Strongest marker signals first (section 6.2)
+      transmissions.sort((a, b) => b.cycle.confidence - a.cycle.confidence);
+      const combinedCycles = transmissions.map(transmission => transmission.cycle);
+      const groupReads = transmissions.map(transmission => transmission.read);
+
+      try {
+        const decodedData = await this.decodeCombinedCycles(combinedCycles, groupReads, method);
+        if (decodedData) {
+          // Strongest marker signal stands for the group
+          return {
+            ...this.formatCycleResult(combinedCycles[0], decodedData, profile),
+            cyclesCombined: combinedCycles.length,
+            combining: method
+          };
+        }
+      } catch (combineError) {
+        console.warn(`Combining version ${cycles[0].version} cycles failed: ${combineError.message}`);
+      }
+    }
+    return null;
+  }
+
+  // Mean slot SNR of a cycle read, in dB
+  getReadQuality(read) {
+    const finite = read.slots.map(slot => slot.snrDb).filter(Number.isFinite);
+    return finite.length > 0 ? finite.reduce((sum, snrDb) => sum + snrDb, 0) / finite.length : -Infinity;
+  }
+
+  // decode() result for a QR cycle decodeCycle read successfully
+  formatCycleResult(cycle, decodedData, profile) {
+    return {
+      data: decodedData.text,
+      payloadType: 'qr',
+      version: cycle.version,
+      errorCorrectionLevel: decodedData.errorCorrectionLevel,
+      confidence: cycle.confidence,
+      profile: getFrequencyProfile(profile).name,
+      timingPreset: decodedData.timingPreset,
+      tonesPerSlot: decodedData.tonesPerSlot,
+      interleaved: decodedData.interleaved,
+      columnCheck: decodedData.columnCheck,
+      columnValidity: decodedData.columnValidity, // Padding check per transmitted column; null when unchecked
+      corruptedColumns: decodedData.corruptedColumns,
+      driftPpm: decodedData.driftPpm ?? null // Sample-clock drift against the sender; null without timing recovery
+    };
+  }
+
+  reportProgress(stage, progress) {
+    if (this.onProgress) {
+      this.onProgress({ stage, progress });
+    }
+  }
+
+  // Spectral view of a channel shared by every tone measurement on it, rebuilt
+  // when the samples change
+  getSpectrum(channelData, sampleRate) {
+    if (this.spectrum?.samples !== channelData || this.spectrum.sampleRate !== sampleRate) {
+      const { analysis, window } = this.spectralOptions;
+      this.spectrum = analysis === 'direct'
+        ? new DirectSpectrum(channelData, sampleRate)
+        : new SpectralEngine(channelData, sampleRate, { window });
     }
+    return this.spectrum;
   }
 
   // Much more aggressive detection approach
-  async detectValidCycles(audioBuffer, versionPriorities) {
+  async detectValidCycles(audioBuffer, versionPriorities, profile = 'standard') {
     const channelData = audioBuffer.getChannelData(0);
     const sampleRate = audioBuffer.sampleRate;
     
     // Debug boundary markers
     console.log('🔧 Debugging boundary markers:');
-    const boundaryMarkers = this.audioProcessor.getBoundaryMarkers();
-    for (let v = 1; v <= 5; v++) {
+    const boundaryMarkers = this.audioProcessor.getBoundaryMarkers(profile);
+    const { analysisWindow } = getFrequencyProfile(profile);
+    const analysisSamples = Math.floor(sampleRate * analysisWindow / 1000);
+    const spectrum = this.getSpectrum(channelData, sampleRate);
+    for (const v of versionPriorities) {
       const marker = boundaryMarkers[v];
       console.log(`  Version ${v}: Start ${marker.start}Hz, End ${marker.end}Hz`);
     }
@@ -106,19 +294,25 @@ export class SoundQRDecoder {
     
     // Frequency analysis to verify signal presence
     console.log('\n=== FREQUENCY ANALYSIS ===');
-    const testFreqs = [14000, 14100, 14500, 15200, 16000, 17090];
-    const testSegment = channelData.slice(0, Math.min(channelData.length, 48000)); // First second
+    const frequencies = this.audioProcessor.getFrequencyGrid(profile);
+    const testFreqs = [
+      ...versionPriorities.flatMap(v => [boundaryMarkers[v].start, boundaryMarkers[v].end]),
+      frequencies[0],
+      frequencies[Math.floor(frequencies.length / 2)],
+      frequencies[frequencies.length - 1]
+    ];
+    const testSamples = Math.min(channelData.length, 48000, analysisSamples); // Start of the first second
     
     const frequencyStrengths = {};
     for (const freq of testFreqs) {
-      const strength = this.calculateFrequencyStrength(testSegment, freq, sampleRate);
+      const strength = spectrum.strength(freq, 0, testSamples);
       frequencyStrengths[freq] = strength;
       console.log(`${freq}Hz: ${strength.toFixed(6)}`);
     }
     
     // Analyze boundary markers for each version
     const markerAnalysis = {};
-    for (let version = 1; version <= 5; version++) {
+    for (const version of versionPriorities) {
       const markers = boundaryMarkers[version];
       const startStrength = frequencyStrengths[markers.start] || 0;
       const endStrength = frequencyStrengths[markers.end] || 0;
@@ -155,14 +349,13 @@ export class SoundQRDecoder {
     // Scan the entire audio file
     for (let windowIndex = 0; windowIndex < maxWindows; windowIndex++) {
       const startSample = windowIndex * stepSize;
-      const windowData = channelData.slice(startSample, startSample + windowSize);
       
       // Test each version priority
       for (const version of versionPriorities) {
         const markers = boundaryMarkers[version];
         
         // Look for start marker with much lower threshold
-        const startMarkerStrength = this.calculateFrequencyStrength(windowData, markers.start, sampleRate);
+        const startMarkerStrength = spectrum.strength(markers.start, startSample, Math.min(windowSize, analysisSamples));
         
         if (startMarkerStrength > minDetectionThreshold) {
           console.log(`🔍 Found potential start marker: Version ${version}, strength ${startMarkerStrength.toFixed(6)}, time ${(startSample / sampleRate).toFixed(2)}s`);
@@ -173,7 +366,8 @@ export class SoundQRDecoder {
             startSample, 
             version, 
             sampleRate,
-            minDetectionThreshold
+            minDetectionThreshold,
+            profile
           );
           
           if (cycleResult && cycleResult.confidence > 0.001) { // 0.1% confidence minimum
@@ -181,6 +375,7 @@ export class SoundQRDecoder {
             validCycles.push({
               ...cycleResult,
               version: version,
+              profile: profile,
               startSample: startSample,
               startTime: startSample / sampleRate
             });
@@ -191,34 +386,227 @@ export class SoundQRDecoder {
       // Progress indicator
       if (windowIndex % 50 === 0 && windowIndex > 0) {
         console.log(`Scan progress: ${windowIndex}/${maxWindows} (${(windowIndex/maxWindows*100).toFixed(1)}%)`);
+        this.reportProgress('scanning', windowIndex / maxWindows);
       }
     }
+    this.reportProgress('aligning', 0);
     
+    // Several overlapping windows fire on the same start marker; snap each one
+    // to the marker onset and keep a single candidate per cycle
+    const alignedCycles = this.alignToMarkerOnsets(channelData, validCycles, sampleRate, profile);
+    validCycles.length = 0;
+    validCycles.push(...alignedCycles);
+
     // Sort by confidence and filter
     validCycles.sort((a, b) => b.confidence - a.confidence);
     
     console.log('\n=== SCAN RESULTS ===');
     console.log(`Scanned ${maxWindows} windows`);
     console.log(`Found ${validCycles.length} potential cycles`);
+    console.log(`🔧 Spectral reads: ${spectrum.stats.reads}, ${spectrum.stats.bins} bins, ${spectrum.stats.tiles} tiles computed`);
     
     // Much more lenient filtering
     const filteredCycles = validCycles.filter(c => c.confidence > 0.0001); // 0.01% minimum
     console.log(`After filtering: ${filteredCycles.length} cycles above 0.01% confidence`);
     
+    // Strongest candidates first, keeping the top 5 whose stream header reads back
+    const resolvedCycles = this.resolveCycleLayouts(channelData, filteredCycles, sampleRate, profile, 5);
+
     // If we still haven't found anything, try an even more aggressive approach
-    if (filteredCycles.length === 0) {
+    if (resolvedCycles.length === 0) {
       console.log('🚨 No cycles found with standard approach, trying emergency detection...');
-      return await this.emergencyDetection(channelData, sampleRate, versionPriorities);
+      return await this.emergencyDetection(channelData, sampleRate, versionPriorities, profile);
     }
     
-    return filteredCycles.slice(0, 5); // Return top 5 candidates
+    return resolvedCycles;
+  }
+
+  // Snap candidate cycles to the rising edge of their start marker and merge duplicates
+  alignToMarkerOnsets(channelData, cycles, sampleRate, profile = 'standard') {
+    const boundaryMarkers = this.audioProcessor.getBoundaryMarkers(profile);
+    const probeSamples = Math.floor(sampleRate * 0.01); // 10ms probe
+    const stepSamples = Math.floor(sampleRate * 0.001); // 1ms steps
+    const spectrum = this.getSpectrum(channelData, sampleRate);
+    const aligned = [];
+
+    for (const cycle of cycles) {
+      // Binary frame candidates carry their own marker frequency
+      const markerFreq = cycle.markerFrequency ?? boundaryMarkers[cycle.version].start;
+
+      // Any window that fired can sit anywhere inside the marker, so look back a full marker length
+      const lookBack = Math.floor(sampleRate * getFrequencyProfile(profile).markerDuration / 1000);
+      const lookAhead = Math.floor(sampleRate * 0.05);
+      const from = Math.max(0, cycle.startSample - lookBack);
+      const to = Math.min(channelData.length - probeSamples, cycle.startSample + lookAhead);
+
+      const strengths = [];
+      let maxStrength = 0;
+      for (let pos = from; pos <= to; pos += stepSamples) {
+        const strength = spectrum.strength(markerFreq, pos, probeSamples);
+        strengths.push(strength);
+        maxStrength = Math.max(maxStrength, strength);
+      }
+
+      // The probe is half inside the marker when it first reaches half the plateau
+      let startSample = cycle.startSample;
+      const edge = strengths.findIndex(strength => strength >= maxStrength * 0.5);
+      if (edge >= 0 && maxStrength > 0) {
+        startSample = from + edge * stepSamples + Math.floor(probeSamples / 2);
+      }
+
+      const duplicate = aligned.find(other =>
+        other.version === cycle.version && Math.abs(other.startSample - startSample) < probeSamples);
+
+      if (duplicate) {
+        duplicate.confidence = Math.max(duplicate.confidence, cycle.confidence);
+      } else {
+        aligned.push({ ...cycle, startSample, startTime: startSample / sampleRate });
+      }
+    }
+
+    console.log(`🔧 Aligned ${cycles.length} marker windows to ${aligned.length} cycle onsets`);
+    return aligned;
+  }
+
+  // Fine onset of an aligned cycle by correlating against its whole start
+  // marker. The half-plateau edge from a noisy probe can be tens of ms early;
+  // this only runs on the cycles actually read, as it costs a marker-length
+  // correlation per millisecond searched.
+  refineCycleOnset(channelData, cycle, sampleRate, profile = 'standard') {
+    const markerFreq = cycle.markerFrequency ?? this.audioProcessor.getBoundaryMarkers(profile)[cycle.version].start;
+    const markerSamples = Math.floor(sampleRate * getFrequencyProfile(profile).markerDuration / 1000);
+    const spectrum = this.getSpectrum(channelData, sampleRate);
+    const startSample = this.refineMarkerStart(spectrum, markerFreq, cycle.startSample, markerSamples, markerSamples);
+    return { ...cycle, startSample, startTime: startSample / sampleRate };
+  }
+
+  // Fine onset of a marker near startSample by correlating against the marker
+  // itself: a window of the marker's length at its frequency catches the most
+  // energy when it lines up with the marker exactly, and falls off linearly
+  // either side. Searched in 1ms steps within searchSamples, then interpolated.
+  // Clock drift moves the marker's frequency as well (15Hz at 15kHz and
+  // 1000ppm), which flattens the peak or loses it altogether, so the search
+  // runs at whichever frequency within MAX_CLOCK_DRIFT_PPM, in half-bin steps,
+  // the marker is strongest at from startSample.
+  refineMarkerStart(spectrum, frequency, startSample, markerSamples, searchSamples) {
+    const stepSamples = Math.max(1, Math.floor(spectrum.sampleRate * 0.001));
+    const from = Math.max(0, startSample - searchSamples);
+    const to = Math.min(spectrum.samples.length - markerSamples, startSample + searchSamples);
+    if (to < from) {
+      return startSample;
+    }
+
+    const binStep = spectrum.sampleRate / markerSamples / 2;
+    const offsets = Math.ceil(frequency * MAX_CLOCK_DRIFT_PPM * 1e-6 / binStep);
+    let markerFrequency = frequency;
+    let best = spectrum.strength(frequency, startSample, markerSamples, 'rectangular');
+    for (let offset = -offsets; offset <= offsets; offset++) {
+      const strength = spectrum.strength(frequency + offset * binStep, startSample, markerSamples, 'rectangular');
+      if (strength > best) {
+        best = strength;
+        markerFrequency = frequency + offset * binStep;
+      }
+    }
+
+    const strengths = [];
+    let peak = 0;
+    for (let pos = from; pos <= to; pos += stepSamples) {
+      strengths.push(spectrum.strength(markerFrequency, pos, markerSamples, 'rectangular'));
+      if (strengths[strengths.length - 1] > strengths[peak]) {
+        peak = strengths.length - 1;
+      }
+    }
+
+    // The response is a triangle, so the slopes either side of the peak step
+    // place the apex between steps exactly
+    let fraction = 0;
+    if (peak > 0 && peak < strengths.length - 1) {
+      const [before, at, after] = strengths.slice(peak - 1, peak + 2);
+      const slope = at - Math.min(before, after);
+      if (slope > 0) {
+        fraction = (after - before) / (2 * slope);
+      }
+    }
+    return from + Math.round((peak + fraction) * stepSamples);
+  }
+
+  // Read the stream header behind aligned cycles, in order, until `limit` are
+  // resolved. Each onset is refined first; cycles whose header is unreadable,
+  // whose announced length runs off the end of the audio, or that refine onto a
+  // cycle already resolved are dropped.
+  resolveCycleLayouts(channelData, cycles, sampleRate, profile = 'standard', limit = Infinity) {
+    const resolved = [];
+    const sameOnsetSamples = Math.floor(sampleRate * 0.01); // alignToMarkerOnsets' probe
+
+    for (const candidate of cycles) {
+      if (resolved.length >= limit) break;
+
+      // Onsets the coarse alignment left apart can turn out to be one marker
+      const cycle = this.refineCycleOnset(channelData, candidate, sampleRate, profile);
+      if (resolved.some(other => other.version === cycle.version && Math.abs(other.startSample - cycle.startSample) < sameOnsetSamples)) {
+        continue;
+      }
+
+      const layout = this.readStreamHeader(channelData, cycle.startSample, profile, sampleRate);
+      if (!layout) {
+        console.warn(`⚠️ Unreadable stream header at ${cycle.startTime.toFixed(2)}s`);
+        continue;
+      }
+
+      const timing = this.qrProcessor.getCycleTiming(cycle.version, layout.profile);
+      const cycleSamples = Math.floor(sampleRate * timing.totalTime / 1000);
+      if (channelData.length - cycle.startSample < cycleSamples * 0.95) {
+        continue;
+      }
+
+      console.log(`🔧 Cycle at ${cycle.startTime.toFixed(2)}s: ${layout.timingPreset} timing, ${layout.tonesPerSlot} tone(s) per slot${layout.interleaved ? `, interleave rotation ${layout.rotation}` : ''}`);
+      resolved.push({ ...cycle, profile: layout.profile, layout });
+    }
+    return resolved;
+  }
+
+  // Layout announced by the stream header that follows the start marker at
+  // startSample: { timingPreset, tonesPerSlot, interleaved, rotation, profile } or null
+  readStreamHeader(channelData, startSample, profile, sampleRate) {
+    const signalling = getSignallingProfile(profile);
+    const markerSamples = Math.floor(sampleRate * signalling.markerDuration / 1000);
+    const indices = this.readSymbols(channelData, startSample + markerSamples, STREAM_HEADER_SYMBOLS, signalling, sampleRate);
+
+    const header = this.streamHeader.decode(indices, signalling);
+    return header && { ...header, profile: this.streamHeader.apply(profile, header) };
+  }
+
+  // Samples taken by the stream header (floor per symbol, like the encoder's segments)
+  getStreamHeaderSamples(profile, sampleRate) {
+    return STREAM_HEADER_SYMBOLS * Math.floor(sampleRate * getSignallingProfile(profile).chunkDuration / 1000);
+  }
+
+  // Every layout a stream header can announce for the profile
+  getLayoutVariants(profile) {
+    return Object.keys(TIMING_PRESETS).flatMap(preset => [1, 2, 4, 8].map(tones =>
+      withTonesPerSlot(withTimingPreset(profile, preset), tones)));
+  }
+
+  // Cycle timing of every layout variant for a version; the scan asks for the
+  // same few thousands of times
+  getLayoutTimings(version, profile) {
+    let byVersion = this.layoutTimings.get(profile);
+    if (!byVersion) {
+      byVersion = new Map();
+      this.layoutTimings.set(profile, byVersion);
+    }
+    if (!byVersion.has(version)) {
+      byVersion.set(version, this.getLayoutVariants(profile).map(plan => this.qrProcessor.getCycleTiming(version, plan)));
+    }
+    return byVersion.get(version);
   }
 
   // Emergency detection for very weak signals
-  async emergencyDetection(channelData, sampleRate, versionPriorities) {
+  async emergencyDetection(channelData, sampleRate, versionPriorities, profile = 'standard') {
     console.log('🚨 EMERGENCY DETECTION MODE');
     
-    const boundaryMarkers = this.audioProcessor.getBoundaryMarkers();
+    const boundaryMarkers = this.audioProcessor.getBoundaryMarkers(profile);
+    const spectrum = this.getSpectrum(channelData, sampleRate);
     const validCycles = [];
     
     // Try every possible position with tiny windows
@@ -233,13 +621,12 @@ export class SoundQRDecoder {
     
     for (let windowIndex = 0; windowIndex < Math.min(maxWindows, 100); windowIndex++) { // Limit for performance
       const startSample = windowIndex * stepSize;
-      const windowData = channelData.slice(startSample, startSample + windowSize);
       
       // Test version 1 specifically (since that's what we're encoding)
-      const version = 1;
+      const version = versionPriorities[0];
       const markers = boundaryMarkers[version];
       
-      const startMarkerStrength = this.calculateFrequencyStrength(windowData, markers.start, sampleRate);
+      const startMarkerStrength = spectrum.strength(markers.start, startSample, windowSize);
       
       if (startMarkerStrength > emergencyThreshold) {
         console.log(`🚨 Emergency detection found signal: ${startMarkerStrength.toFixed(8)} at ${(startSample / sampleRate).toFixed(2)}s`);
@@ -247,13 +634,14 @@ export class SoundQRDecoder {
         // Create a basic cycle result
         validCycles.push({
           version: version,
+          profile: profile,
           startSample: startSample,
           startTime: startSample / sampleRate,
           confidence: startMarkerStrength * 10, // Boost confidence
           startMarkerStrength: startMarkerStrength,
           endMarkerStrength: 0,
           dataFrequencyCount: 1,
-          cycleLength: Math.floor(sampleRate * 2.805 / 1000) // Expected cycle length
+          cycleLength: Math.floor(sampleRate * this.qrProcessor.getCycleTiming(version, profile).totalTime / 1000) // Expected cycle length
         });
       }
     }
@@ -263,10 +651,18 @@ export class SoundQRDecoder {
   }
 
   // More comprehensive cycle analysis
-  async analyzeCycleExtensive(channelData, startSample, version, sampleRate, threshold) {
+  async analyzeCycleExtensive(channelData, startSample, version, sampleRate, threshold, profile = 'standard') {
     try {
-      const markers = this.audioProcessor.getBoundaryMarkers()[version];
-      const timing = this.qrProcessor.getCycleTiming(version);
+      const markers = this.audioProcessor.getBoundaryMarkers(profile)[version];
+      const { analysisWindow } = getFrequencyProfile(profile);
+      const analysisSamples = Math.floor(sampleRate * analysisWindow / 1000);
+      const spectrum = this.getSpectrum(channelData, sampleRate);
+
+      // The stream header is only read once the cycle is aligned, so allow for every
+      // layout it could announce: the shortest decides whether the cycle fits, and
+      // the end marker may sit at the end of any of them
+      const timings = this.getLayoutTimings(version, profile);
+      const timing = timings.reduce((shortest, candidate) => (candidate.totalTime < shortest.totalTime ? candidate : shortest));
       
       // Calculate expected cycle length in samples
       const expectedCycleSamples = Math.floor(sampleRate * timing.totalTime / 1000);
@@ -286,38 +682,38 @@ export class SoundQRDecoder {
         return null; // Not enough data for even half a cycle
       }
       
-      const cycleData = channelData.slice(startSample, endSample);
+      const cycleLength = Math.min(endSample, channelData.length) - startSample;
       
-      // Look for start marker (first 100ms)
-      const startMarkerSamples = Math.floor(sampleRate * 0.1);
-      const startMarkerData = cycleData.slice(0, Math.min(startMarkerSamples, cycleData.length));
-      const startMarkerStrength = this.calculateFrequencyStrength(startMarkerData, markers.start, sampleRate);
+      // Look for start marker
+      const startMarkerSamples = Math.floor(sampleRate * timing.startMarker / 1000);
+      const markerReadSamples = Math.min(startMarkerSamples, analysisSamples);
+      const startMarkerStrength = spectrum.strength(markers.start, startSample, markerReadSamples);
       
-      // Look for end marker (if we have enough data)
+      // Look for end marker wherever a complete cycle of some layout would end
       let endMarkerStrength = 0;
-      if (cycleData.length > expectedCycleSamples * 0.7) {
-        const endMarkerStart = Math.max(0, cycleData.length - startMarkerSamples);
-        const endMarkerData = cycleData.slice(endMarkerStart);
-        endMarkerStrength = this.calculateFrequencyStrength(endMarkerData, markers.end, sampleRate);
+      for (const candidate of timings) {
+        const candidateEnd = startSample + Math.floor(sampleRate * candidate.totalTime / 1000);
+        if (candidateEnd > channelData.length) continue;
+        endMarkerStrength = Math.max(
+          endMarkerStrength, spectrum.strength(markers.end, candidateEnd - startMarkerSamples, markerReadSamples));
       }
       
       // Look for data frequencies throughout the cycle
-      const frequencies = this.audioProcessor.getFrequencyGrid();
+      const frequencies = this.audioProcessor.getFrequencyGrid(profile);
       let dataFreqCount = 0;
       let totalDataStrength = 0;
       
       // Sample multiple points throughout the cycle for data frequencies
       const numSamples = Math.min(10, frequencies.length);
-      const sampleStep = Math.floor(cycleData.length / 10);
+      const sampleStep = Math.floor(cycleLength / 10);
       
-      for (let i = 0; i < numSamples && i * sampleStep < cycleData.length; i++) {
+      for (let i = 0; i < numSamples && i * sampleStep < cycleLength; i++) {
         const sampleStart = i * sampleStep;
-        const sampleEnd = Math.min(sampleStart + Math.floor(sampleRate * 0.01), cycleData.length); // 10ms sample
-        const sampleData = cycleData.slice(sampleStart, sampleEnd);
+        const sampleEnd = Math.min(sampleStart + Math.floor(sampleRate * 0.01), cycleLength); // 10ms sample
         
         for (let j = 0; j < Math.min(5, frequencies.length); j++) {
           const freq = frequencies[j];
-          const strength = this.calculateFrequencyStrength(sampleData, freq, sampleRate);
+          const strength = spectrum.strength(freq, startSample + sampleStart, sampleEnd - sampleStart);
           
           if (strength > threshold * 0.1) { // Very low threshold for data
             dataFreqCount++;
@@ -346,7 +742,7 @@ export class SoundQRDecoder {
       }
       
       // Length bonus (10%)
-      if (cycleData.length >= expectedCycleSamples * 0.8) {
+      if (cycleLength >= expectedCycleSamples * 0.8) {
         confidence += 0.1;
       }
       
@@ -357,7 +753,7 @@ export class SoundQRDecoder {
           startMarkerStrength: startMarkerStrength,
           endMarkerStrength: endMarkerStrength,
           dataFrequencyCount: dataFreqCount,
-          cycleLength: cycleData.length,
+          cycleLength: cycleLength,
           totalDataStrength: totalDataStrength
         };
       }
@@ -370,15 +766,16 @@ export class SoundQRDecoder {
     }
   }
 
-  // Improved frequency strength calculation
-  calculateFrequencyStrength(samples, frequency, sampleRate) {
+  // Single correlation over a standalone block of samples. Decoding reads go
+  // through getSpectrum() instead, which shares the work between reads.
+  calculateFrequencyStrength(samples, frequency, sampleRate, maxDuration = 20) {
     if (!samples || samples.length === 0) return 0;
     
     try {
       let sumSin = 0;
       let sumCos = 0;
       const omega = 2 * Math.PI * frequency / sampleRate;
-      const maxSamples = Math.min(samples.length, Math.floor(sampleRate * 0.02)); // 20ms max
+      const maxSamples = Math.min(samples.length, Math.floor(sampleRate * maxDuration / 1000)); // 20ms max by default
       
       for (let i = 0; i < maxSamples; i++) {
         const phase = omega * i;
@@ -395,96 +792,445 @@ export class SoundQRDecoder {
   }
 
 
-    // Fixed decodeCycle method with proper matrix reconstruction
-    async decodeCycle(audioBuffer, cycle) {
-        try {
-            console.log(`🔧 Decoding cycle: Version ${cycle.version}, confidence ${(cycle.confidence * 100).toFixed(2)}%`);
+  // Binary payload mode: find every binary frame marker, Reed-Solomon decode the
+  // header and body behind it and reassemble the bytes. Repeated passes fill in
+  // frames that a noisy pass lost.
+  async decodeBinary(audioBuffer, profile = 'standard') {
+    const channelData = audioBuffer.getChannelData(0);
+    const sampleRate = audioBuffer.sampleRate;
+    const plan = getFrequencyProfile(profile);
+    const markers = this.audioProcessor.getBinaryMarker(plan);
+    const spectrum = this.getSpectrum(channelData, sampleRate);
 
-            const channelData = audioBuffer.getChannelData(0);
-            const sampleRate = audioBuffer.sampleRate;
-            const version = cycle.version;
-            const startSample = cycle.startSample;
+    // Marker scan with the same 50ms / 50% overlap windows as detectValidCycles
+    const windowSize = Math.floor(sampleRate * 0.05);
+    const stepSize = Math.floor(windowSize * 0.5);
+    const readSamples = Math.min(windowSize, Math.floor(sampleRate * plan.analysisWindow / 1000));
+    const strengths = [];
+    this.reportProgress('scanning', 0);
+    for (let start = 0; start + windowSize <= channelData.length; start += stepSize) {
+      strengths.push(spectrum.strength(markers.start, start, readSamples));
+    }
+    this.reportProgress('aligning', 0);
 
-            const timing = this.qrProcessor.getCycleTiming(version);
-            const spec = this.qrProcessor.getVersionSpec(version);
-            const frequencies = this.audioProcessor.getFrequencyGrid();
+    // Markers stand well clear of the typical (median) level at their frequency
+    const sorted = [...strengths].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)] || 0;
+    const peak = sorted[sorted.length - 1] || 0;
+    const threshold = Math.max(peak * 0.3, median * 4, 0.000001);
 
-            console.log(`🔧 Timing: ${JSON.stringify(timing)}`);
-            console.log(`🔧 Spec: size=${spec.size}, chunkSize=${spec.chunkSize}`);
+    const candidates = [];
+    strengths.forEach((strength, i) => {
+      if (strength > threshold) {
+        candidates.push({ startSample: i * stepSize, markerFrequency: markers.start, confidence: strength / peak });
+      }
+    });
 
-            // Extract cycle data with some padding
-            const expectedCycleSamples = Math.floor(sampleRate * timing.totalTime / 1000);
-            const endSample = Math.min(startSample + expectedCycleSamples, channelData.length);
-            const cycleData = channelData.slice(startSample, endSample);
+    const frames = this.alignToMarkerOnsets(channelData, candidates, sampleRate, plan)
+      .sort((a, b) => a.startSample - b.startSample);
+    console.log(`🔍 Binary scan: ${frames.length} frame markers above ${threshold.toFixed(6)}`);
 
-            // Skip start marker (first 100ms)
-            const startMarkerSamples = Math.floor(sampleRate * timing.startMarker / 1000);
-            let sampleOffset = startMarkerSamples;
+    if (frames.length === 0) {
+      throw new Error('No binary frames detected');
+    }
 
-            const matrix = [];
+    const bodies = [];
+    let reference = null;
+    let layout = null;
+    let correctedBytes = 0;
+    let framesDecoded = 0;
 
-            // Initialize matrix
-            for (let row = 0; row < spec.size; row++) {
-                matrix[row] = new Array(spec.size).fill(0);
-            }
+    for (const [index, frame] of frames.entries()) {
+      this.reportProgress('decoding', index / frames.length);
 
-            console.log(`🔧 Decoding ${spec.size}x${spec.size} matrix from cycle data...`);
-            console.log(`🔧 Expected cycle samples: ${expectedCycleSamples}, actual: ${cycleData.length}`);
+      const read = this.readBinaryFrame(channelData, this.refineCycleOnset(channelData, frame, sampleRate, plan).startSample, plan, sampleRate);
+      if (!read) continue;
+      const { header } = read;
 
-            // Decode each column
-            for (let col = 0; col < spec.size && sampleOffset < cycleData.length; col++) {
-                const chunks = [];
+      // Frames from a different payload in the same recording are ignored
+      reference = reference || header;
+      if (header.count !== reference.count || header.totalLength !== reference.totalLength) {
+        console.warn(`⚠️ Frame at ${(frame.startSample / sampleRate).toFixed(2)}s belongs to another payload`);
+        continue;
+      }
+      if (bodies[header.seq]) continue;
 
-                // Decode chunks for this column
-                const chunksPerColumn = Math.ceil(spec.size / spec.chunkSize);
+      const body = this.readBinaryFrameBody(channelData, read, sampleRate);
+      if (!body) continue;
 
-                for (let chunkIdx = 0; chunkIdx < chunksPerColumn; chunkIdx++) {
-                    if (sampleOffset >= cycleData.length) {
-                        console.warn(`⚠️ Ran out of data at column ${col}, chunk ${chunkIdx}`);
-                        break;
-                    }
+      bodies[header.seq] = body.data;
+      layout = layout || read.layout;
+      correctedBytes += header.corrected + body.corrected;
+      framesDecoded++;
+      console.log(`✅ Frame ${header.seq + 1}/${header.count}: ${header.bodyLength} bytes, ${body.corrected} corrected`);
 
-                    const chunkSamples = Math.floor(sampleRate * timing.chunkDuration / 1000);
-                    const chunkEnd = Math.min(sampleOffset + chunkSamples, cycleData.length);
-                    const chunkData = cycleData.slice(sampleOffset, chunkEnd);
+      if (framesDecoded === header.count) break;
+    }
 
-                    if (chunkData.length === 0) {
-                        console.warn(`⚠️ Empty chunk data at column ${col}, chunk ${chunkIdx}`);
-                        chunks.push(0);
-                        break;
-                    }
+    if (!reference) {
+      throw new Error('No readable binary frame headers');
+    }
 
-                    // Find best matching frequency - improved method
-                    let bestFreqIdx = 0;
-                    let bestStrength = 0;
-                    const strengthThreshold = 0.000001; // Very low threshold
+    const data = this.binaryFramer.assemble(bodies, reference.count, reference.totalLength);
+    return {
+      data,
+      payloadType: 'binary',
+      profile: plan.name,
+      timingPreset: layout?.timingPreset ?? null,
+      tonesPerSlot: layout?.tonesPerSlot ?? null,
+      frames: reference.count,
+      framesFound: frames.length,
+      correctedBytes,
+      confidence: framesDecoded / frames.length
+    };
+  }
 
-                    for (let freqIdx = 0; freqIdx < frequencies.length; freqIdx++) {
-                        const strength = this.calculateFrequencyStrength(chunkData, frequencies[freqIdx], sampleRate);
-                        if (strength > bestStrength) {
-                            bestStrength = strength;
-                            bestFreqIdx = freqIdx;
-                        }
-                    }
+  // Stream header and frame header behind a binary frame marker aligned at
+  // startSample: { layout, header, bitsPerSymbol, headerStart, bodyStart,
+  // bodySymbolCount, endSample }, or null when either header is unreadable.
+  // headerStart is where the frame header's symbols begin, endSample is where
+  // the frame's body ends.
+  readBinaryFrame(channelData, startSample, profile, sampleRate) {
+    // Each frame announces its own timing preset and tones per slot
+    const layout = this.readStreamHeader(channelData, startSample, profile, sampleRate);
+    if (!layout) {
+      console.warn(`⚠️ Unreadable stream header at ${(startSample / sampleRate).toFixed(2)}s`);
+      return null;
+    }
+    const framePlan = layout.profile;
+    const bitsPerSymbol = getBitsPerSymbol(framePlan);
+    const symbolSamples = Math.floor(sampleRate * framePlan.chunkDuration / 1000);
+    const headerSymbolCount = this.binaryFramer.getHeaderSymbolCount(bitsPerSymbol);
+
+    const markerSamples = Math.floor(sampleRate * getFrequencyProfile(profile).markerDuration / 1000);
+    const headerStart = startSample + markerSamples + this.getStreamHeaderSamples(profile, sampleRate);
+    const header = this.binaryFramer.parseHeader(
+      this.readSymbols(channelData, headerStart, headerSymbolCount, framePlan, sampleRate), bitsPerSymbol);
+
+    if (!header) {
+      console.warn(`⚠️ Unreadable frame header at ${(startSample / sampleRate).toFixed(2)}s`);
+      return null;
+    }
+
+    const bodyStart = headerStart + headerSymbolCount * symbolSamples;
+    const bodySymbolCount = this.binaryFramer.getSymbolCount(header.bodyLength + header.parityBytes, bitsPerSymbol);
+    return {
+      layout,
+      header,
+      bitsPerSymbol,
+      headerStart,
+      bodyStart,
+      bodySymbolCount,
+      endSample: bodyStart + bodySymbolCount * symbolSamples
+    };
+  }
+
+  // Reed-Solomon decoded body of a frame from readBinaryFrame, or null when it
+  // has too many errors
+  readBinaryFrameBody(channelData, frame, sampleRate) {
+    const { layout, header, bitsPerSymbol, bodyStart, bodySymbolCount } = frame;
+    const body = this.binaryFramer.decodeBody(
+      this.readSymbols(channelData, bodyStart, bodySymbolCount, layout.profile, sampleRate), header, bitsPerSymbol);
+
+    if (!body) {
+      console.warn(`⚠️ Frame ${header.seq + 1}/${header.count} has too many errors to correct`);
+    }
+    return body;
+  }
+
+  // Value of `count` consecutive symbols. The analysis window sits in the middle
+  // of each symbol, away from the transition glides.
+  readSymbols(channelData, startSample, count, profile, sampleRate) {
+    return this.measureSymbols(channelData, startSample, count, profile, sampleRate).map(slot => slot.value);
+  }
+
+  // readSymbols with the measureSlot result behind each symbol
+  measureSymbols(channelData, startSample, count, profile, sampleRate) {
+    const plan = getFrequencyProfile(profile);
+    const symbolSamples = Math.floor(sampleRate * plan.chunkDuration / 1000);
+    const windowSamples = Math.min(symbolSamples, Math.floor(sampleRate * (plan.analysisWindow ?? 20) / 1000));
+    const inset = Math.floor((symbolSamples - windowSamples) / 2);
+    const spectrum = this.getSpectrum(channelData, sampleRate);
+    const symbols = [];
+
+    for (let i = 0; i < count; i++) {
+      const from = startSample + i * symbolSamples + inset;
+      symbols.push(this.measureSlot(spectrum, from, windowSamples, plan));
+    }
+    return symbols;
+  }
+
+  // Slot value of the `length` samples from startSample: the strongest tone in
+  // each sub-band (the whole grid when the profile sends one tone per slot),
+  // lowest sub-band in the low bits
+  readSlot(spectrum, startSample, length, profile) {
+    return this.measureSlot(spectrum, startSample, length, profile).value;
+  }
+
+  // readSlot plus how clearly the slot was won, in dB, from its weakest sub-band:
+  //   snrDb    - winning tone power over the mean power of the other tones
+  //   marginDb - gap between the winning tone and the runner-up, over the rms of
+  //              the other tones (the noise estimate soft combining weighs bits by);
+  //              symbols start to flip once noise of that size closes the gap
+  //   tones    - every tone's strength, one Float64Array per sub-band
+  // Tones are measured at frequencyScale times their nominal frequency, to
+  // follow a recording whose clock drifts against the sender's.
+  measureSlot(spectrum, startSample, length, profile, frequencyScale = 1) {
+    const plan = getFrequencyProfile(profile);
+    const bands = this.audioProcessor.getToneBands(plan);
+    const readSamples = Math.min(length, Math.floor(spectrum.sampleRate * (plan.analysisWindow ?? 20) / 1000));
+    const bits = Math.log2(bands[0].length);
+    let value = 0;
+    let snrDb = Infinity;
+    let marginDb = Infinity;
+    const tones = [];
+
+    bands.forEach((band, i) => {
+      const strengths = new Float64Array(band.length);
+      tones.push(strengths);
+      let best = 0;
+      let bestStrength = -1;
+      let runnerUp = 0;
+      let totalPower = 0;
+      for (let index = 0; index < band.length; index++) {
+        const strength = spectrum.strength(band[index] * frequencyScale, startSample, readSamples);
+        strengths[index] = strength;
+        totalPower += strength * strength;
+        if (strength > bestStrength) {
+          runnerUp = Math.max(runnerUp, bestStrength);
+          bestStrength = strength;
+          best = index;
+        } else {
+          runnerUp = Math.max(runnerUp, strength);
+        }
+      }
+      value |= best << (i * bits);
+
+      const noisePower = (totalPower - bestStrength * bestStrength) / (band.length - 1);
+      snrDb = Math.min(snrDb, 10 * Math.log10((bestStrength * bestStrength + 1e-20) / (noisePower + 1e-20)));
+      marginDb = Math.min(marginDb, 20 * Math.log10((bestStrength - runnerUp + 1e-10) / (Math.sqrt(noisePower) + 1e-10)));
+    });
+    return { value, snrDb, marginDb, tones };
+  }
+
+    // Every slot of a cycle, column by column, with the signal measurements behind
+    // each one: { layout, profile, timing, spec, columns, slots, tracking }, or null
+    // when the stream header can't be read. Slots are measureSlot results plus the
+    // column and chunk they were read for. With timing recovery on, tracking is
+    // { driftPpm, source, offsetMs }: the clock drift, fitted to the symbol
+    // boundaries the loop measured ('symbols') or, when those don't pin it down,
+    // taken from the start marker's frequency ('markers'; null when neither is
+    // available); and how far the last slot was read from its nominal place.
+    // The marker drift is known before the first slot: it retunes every tone
+    // read and starts the loop at the right rate.
+    readCycleSymbols(channelData, cycle, sampleRate) {
+        const version = cycle.version;
+        const startSample = cycle.startSample;
+
+        // Cycles from the main scan already carry the layout from their stream header
+        const layout = cycle.layout ?? this.readStreamHeader(channelData, startSample, cycle.profile, sampleRate);
+        if (!layout) {
+            console.warn('⚠️ Stream header unreadable');
+            return null;
+        }
+        const profile = getFrequencyProfile(layout.profile);
+
+        const timing = this.qrProcessor.getCycleTiming(version, profile);
+        const spec = this.qrProcessor.getVersionSpec(version, profile);
+
+        console.log(`🔧 Timing: ${JSON.stringify(timing)}`);
+        console.log(`🔧 Spec: size=${spec.size}, chunkSize=${spec.chunkSize}`);
+
+        // Cycle extent, clipped to the recording
+        const expectedCycleSamples = Math.floor(sampleRate * timing.totalTime / 1000);
+        const endSample = Math.min(startSample + expectedCycleSamples, channelData.length);
+        const cycleLength = endSample - startSample;
+        const spectrum = this.getSpectrum(channelData, sampleRate);
+
+        // Skip start marker and stream header
+        const startMarkerSamples = Math.floor(sampleRate * timing.startMarker / 1000);
+        let sampleOffset = startMarkerSamples + this.getStreamHeaderSamples(profile, sampleRate);
+
+        // Read each chunk away from the glides at its edges
+        const chunkSamples = Math.floor(sampleRate * timing.chunkDuration / 1000);
+        const windowSamples = Math.min(chunkSamples, Math.floor(sampleRate * (profile.analysisWindow ?? 20) / 1000));
+        const inset = Math.floor((chunkSamples - windowSamples) / 2);
+
+        console.log(`🔧 Expected cycle samples: ${expectedCycleSamples}, actual: ${cycleLength}`);
+
+        // Each read is steered by the timing loop; a slot's own error is only
+        // measured once the slot after it is known, so the gate can leave out
+        // tones that carry on from a neighbour
+        const tracker = this.timingRecovery ? new SymbolTimingTracker(chunkSamples) : null;
+        const recent = []; // { slot, shift, position, tones } of the last slots read
+
+        // Drift stretches the symbols and lowers their tones by the same ratio
+        const markerDriftPpm = tracker && this.measureMarkerDrift(spectrum, cycle, timing, profile, sampleRate);
+        const frequencyScale = 1 / (1 + (markerDriftPpm ?? 0) * 1e-6);
+        if (markerDriftPpm !== null) {
+            tracker.rate = markerDriftPpm * 1e-6 * chunkSamples;
+        }
+
+        const columns = [];
+        const slots = [];
+
+        // Decode each column
+        for (let col = 0; col < spec.size && sampleOffset < cycleLength; col++) {
+            const chunks = [];
+
+            // Decode chunks for this column
+            const chunksPerColumn = Math.ceil(spec.size / spec.chunkSize);
 
-                    // Only use the frequency if it's above threshold, otherwise use 0
-                    const finalFreqIdx = bestStrength > strengthThreshold ? bestFreqIdx : 0;
-                    chunks.push(finalFreqIdx);
+            for (let chunkIdx = 0; chunkIdx < chunksPerColumn; chunkIdx++) {
+                if (sampleOffset >= cycleLength) {
+                    console.warn(`⚠️ Ran out of data at column ${col}, chunk ${chunkIdx}`);
+                    break;
+                }
+
+                const chunkEnd = Math.min(sampleOffset + chunkSamples, cycleLength);
+                const chunkStart = Math.min(sampleOffset + inset, chunkEnd);
+
+                if (chunkEnd === chunkStart) {
+                    console.warn(`⚠️ Empty chunk data at column ${col}, chunk ${chunkIdx}`);
+                    chunks.push(0);
+                    break;
+                }
 
-                    sampleOffset += chunkSamples;
+                // Strongest tone in each sub-band makes up the chunk value
+                const shift = tracker ? Math.round(tracker.offset) : 0;
+                const slot = this.measureSlot(spectrum, startSample + chunkStart + shift, chunkEnd - chunkStart, profile, frequencyScale);
+                chunks.push(slot.value);
+                slots.push({ ...slot, column: col, chunk: chunkIdx });
 
-                    // Add gap between chunks if specified
-                    if (timing.columnGap) {
-                        sampleOffset += Math.floor(sampleRate * timing.columnGap / 1000);
+                if (tracker) {
+                    recent.push({
+                        slot: slots.length - 1,
+                        shift,
+                        position: startSample + sampleOffset + shift,
+                        tones: this.audioProcessor.getSlotFrequencies(slot.value, profile)
+                    });
+                    if (recent.length === 3) {
+                        const [before, current, after] = recent;
+                        const edges = current.tones.filter((tone, band) => tone !== before.tones[band] && tone !== after.tones[band]);
+                        const error = edges.length > 0
+                            ? tracker.measure(spectrum, current.position, edges.map(tone => tone * frequencyScale))
+                            : null;
+                        if (error !== null) {
+                            tracker.update(error, current.slot, current.shift);
+                        }
+                        recent.shift();
                     }
+                    tracker.advance();
                 }
 
-                if (col < 3) { // Debug first few columns
-                    console.log(`Column ${col}: chunks [${chunks.join(', ')}] (${chunks.length} chunks)`);
+                sampleOffset += chunkSamples;
+
+                // Add gap between chunks if specified
+                if (timing.columnGap) {
+                    sampleOffset += Math.floor(sampleRate * timing.columnGap / 1000);
                 }
+            }
+
+            if (col < 3) { // Debug first few columns
+                console.log(`Column ${col}: chunks [${chunks.join(', ')}] (${chunks.length} chunks)`);
+            }
+            columns.push(chunks);
+        }
+
+        const fittedDriftPpm = tracker && tracker.driftPpm;
+        const tracking = tracker && {
+            driftPpm: fittedDriftPpm ?? markerDriftPpm,
+            source: fittedDriftPpm !== null ? 'symbols' : markerDriftPpm !== null ? 'markers' : null,
+            offsetMs: tracker.offset / sampleRate * 1000
+        };
+        if (tracking) {
+            console.log(`🔧 Symbol timing: ${tracking.driftPpm === null ? 'unknown' : `${tracking.driftPpm.toFixed(0)}ppm`} drift (${tracking.source ?? 'no estimate'}), ${tracking.offsetMs.toFixed(2)}ms off nominal by the end (${tracker.updates} updates)`);
+        }
+
+        return { layout, profile, timing, spec, columns, slots, tracking };
+    }
+
+    // Clock drift in ppm from the start marker's frequency: a recording whose
+    // clock runs fast plays every tone back lower by the same ratio. The marker
+    // is a long steady tone, so its peak is searched in quarter-bin steps and
+    // interpolated, which pins the drift to about 10ppm at the top of the band
+    // (low profiles barely move their tones, so a coarser reading costs them
+    // nothing). Null when the peak isn't within MAX_CLOCK_DRIFT_PPM.
+    measureMarkerDrift(spectrum, cycle, timing, profile, sampleRate) {
+        const frequency = this.audioProcessor.getBoundaryMarkers(profile)[cycle.version].start;
+        const markerSamples = Math.floor(sampleRate * timing.startMarker / 1000);
+        if (cycle.startSample < 0 || cycle.startSample + markerSamples > spectrum.samples.length) {
+            return null;
+        }
+
+        const step = sampleRate / markerSamples / 4;
+        const steps = Math.ceil(frequency * MAX_CLOCK_DRIFT_PPM * 1e-6 / step);
+        const strengths = [];
+        let peak = 0;
+        for (let i = 0; i <= 2 * steps + 2; i++) {
+            strengths.push(spectrum.strength(frequency + (i - steps - 1) * step, cycle.startSample, markerSamples, 'rectangular'));
+            if (strengths[i] > strengths[peak]) {
+                peak = i;
+            }
+        }
+        if (peak === 0 || peak === strengths.length - 1) {
+            return null; // Peak on the edge of the search: not the marker
+        }
+
+        const [before, at, after] = strengths.slice(peak - 1, peak + 2);
+        const curvature = before - 2 * at + after;
+        const fraction = curvature < 0 ? (before - after) / (2 * curvature) : 0;
+        const found = frequency + (peak - steps - 1 + fraction) * step;
+        return (frequency / found - 1) * 1e6;
+    }
+
+    // Fixed decodeCycle method with proper matrix reconstruction.
+    // `symbols` is a readCycleSymbols result when the caller already read the cycle.
+    async decodeCycle(audioBuffer, cycle, symbols = null) {
+        try {
+            console.log(`🔧 Decoding cycle: Version ${cycle.version}, confidence ${(cycle.confidence * 100).toFixed(2)}%`);
+
+            const version = cycle.version;
+            const read = symbols ?? this.readCycleSymbols(audioBuffer.getChannelData(0), cycle, audioBuffer.sampleRate);
+            if (!read) {
+                return null;
+            }
+            const { layout, profile, spec, columns, tracking } = read;
+
+            let matrix = [];
 
+            // Initialize matrix
+            for (let row = 0; row < spec.size; row++) {
+                matrix[row] = new Array(spec.size).fill(0);
+            }
+
+            console.log(`🔧 Decoding ${spec.size}x${spec.size} matrix from cycle data...`);
+
+            // Padding check result per transmitted column (before de-interleaving);
+            // null when this version's columns have no padding to check
+            const paddingBits = this.qrProcessor.getColumnPaddingBits(version, profile);
+            const columnValidity = this.qrProcessor.canCheckColumns(version, profile) ? new Array(spec.size).fill(false) : null;
+
+            columns.forEach((chunks, col) => {
                 // FIXED: Convert chunks back to matrix column with proper bit mapping
                 this.chunksToMatrixColumn(chunks, matrix, col, spec);
+                if (columnValidity) {
+                    columnValidity[col] = this.qrProcessor.verifyColumn(chunks, spec, layout.columnCheck);
+                }
+            });
+
+            // RFC 676767 section 6.1: discard the cycle when more than 20% of its columns are corrupted.
+            // Narrow padding passes some corrupted columns, so judge by the estimate, not the failures
+            const corruptedColumns = columnValidity ? columnValidity.filter(valid => !valid).length : null;
+            if (columnValidity) {
+                const estimated = this.qrProcessor.estimateCorruptedColumns(corruptedColumns, paddingBits);
+                console.log(`🔧 Column checks: ${spec.size - corruptedColumns}/${spec.size} valid, ~${estimated.toFixed(1)} corrupted (${paddingBits} padding bits, ${layout.columnCheck ? 'check' : 'zeros'})`);
+                if (estimated > spec.size * 0.2) {
+                    console.warn(`⚠️ ~${estimated.toFixed(1)}/${spec.size} columns corrupted, discarding cycle`);
+                    return null;
+                }
+            } else {
+                console.log('🔧 Column checks unavailable: no padding bits');
             }
 
             console.log(`🔧 Reconstructed matrix: ${matrix.length}x${matrix[0]?.length || 0}`);
@@ -496,24 +1242,26 @@ export class SoundQRDecoder {
                 console.log(`  ${i.toString().padStart(2)}: ${row}`);
             }
 
-            // Try to decode the matrix
-            const decodedText = await this.qrProcessor.decodeQRMatrix(matrix);
-
-            if (decodedText) {
-                console.log(`✅ Successfully decoded: "${decodedText}"`);
-                return decodedText;
-            } else {
-                console.log(`❌ Matrix decode failed for version ${version}`);
+            // Put interleaved codewords back in place before anything reads the layout
+            if (layout.interleaved) {
+                matrix = this.interleaver.deinterleave(matrix, layout.rotation);
+            }
 
-                // Try different interpretations of the same data
-                /*
-                const alternativeResults = await this.tryAlternativeDecodings(chunks, spec);
-                if (alternativeResults) {
-                    return alternativeResults;
-                }
-                */
+            const decoded = await this.decodeMatrix(matrix, version);
+            if (!decoded) {
                 return null;
             }
+            return {
+                text: decoded.text,
+                errorCorrectionLevel: decoded.errorCorrectionLevel,
+                timingPreset: layout.timingPreset,
+                tonesPerSlot: layout.tonesPerSlot,
+                interleaved: layout.interleaved,
+                columnCheck: layout.columnCheck,
+                columnValidity,
+                corruptedColumns,
+                driftPpm: tracking ? tracking.driftPpm : null
+            };
 
         } catch (error) {
             console.warn(`Cycle decode error: ${error.message}`);
@@ -521,6 +1269,151 @@ export class SoundQRDecoder {
         }
     }
 
+    // Read a de-interleaved matrix: repair the fixed patterns and format
+    // information, then hand it to jsQR. { text, errorCorrectionLevel } or null.
+    async decodeMatrix(matrix, version) {
+        // Symbol errors on the fixed patterns would stop jsQR finding the code at all
+        this.qrProcessor.restoreFunctionPatterns(matrix, version);
+
+        // Recover EC level and mask, then rewrite both format copies cleanly
+        const formatInfo = this.qrProcessor.readFormatInfo(matrix);
+        if (formatInfo) {
+            console.log(`🔧 Format info: level ${formatInfo.errorCorrectionLevel}, mask ${formatInfo.mask} (${formatInfo.distance} bit errors)`);
+            this.qrProcessor.writeFormatInfo(matrix, formatInfo.errorCorrectionLevel, formatInfo.mask);
+        } else {
+            console.warn('⚠️ Format information unreadable');
+        }
+
+        // Try to decode the matrix
+        const decodedText = await this.qrProcessor.decodeQRMatrix(matrix);
+        if (!decodedText) {
+            console.log(`❌ Matrix decode failed for version ${version}`);
+            return null;
+        }
+
+        console.log(`✅ Successfully decoded: "${decodedText}"`);
+        return {
+            text: decodedText,
+            errorCorrectionLevel: formatInfo ? formatInfo.errorCorrectionLevel : null
+        };
+    }
+
+    // RFC 676767 section 6.2: when no cycle decodes on its own, combine what
+    // several cycles of one version heard into a consensus matrix. The 20% column
+    // rule (section 6.1) only decides whether a cycle is decoded alone; here every
+    // bit is weighed by how clearly it was received instead. `reads` are
+    // readCycleSymbols results; `method` is 'soft' or 'majority' (COMBINING_METHODS).
+    async decodeCombinedCycles(cycles, reads, method = 'soft') {
+        const version = cycles[0].version;
+        console.log(`🔧 Combining ${reads.length} version ${version} cycles at ${cycles.map(cycle => `${cycle.startTime.toFixed(2)}s`).join(', ')} (${COMBINING_METHODS[method].label})`);
+
+        const decoded = await this.decodeMatrix(this.combineCycleSymbols(reads, method), version);
+        if (!decoded) {
+            return null;
+        }
+
+        const { layout } = reads[0];
+        return {
+            text: decoded.text,
+            errorCorrectionLevel: decoded.errorCorrectionLevel,
+            timingPreset: layout.timingPreset,
+            tonesPerSlot: layout.tonesPerSlot,
+            interleaved: layout.interleaved,
+            columnCheck: layout.columnCheck,
+            columnValidity: null, // Column checks belong to single transmitted cycles
+            corruptedColumns: null,
+            driftPpm: this.getMeanDrift(reads)
+        };
+    }
+
+    // Clock drift averaged over the reads that measured one, or null
+    getMeanDrift(reads) {
+        const drifts = reads.map(read => read.tracking && read.tracking.driftPpm).filter(drift => drift !== null && drift !== undefined);
+        return drifts.length > 0 ? drifts.reduce((sum, drift) => sum + drift, 0) / drifts.length : null;
+    }
+
+    // Consensus matrix (module order) from cycles of one version. 'soft' sums the
+    // bit likelihoods; 'majority' takes each cycle's hard bit as a vote and
+    // falls back to the likelihood sum on a tie.
+    combineCycleSymbols(reads, method = 'soft') {
+        if (!COMBINING_METHODS[method]) {
+            throw new Error(`Unknown combining method: ${method}`);
+        }
+        const size = reads[0].spec.size;
+        const likelihoods = Array.from({ length: size }, () => new Array(size).fill(0));
+        const votes = Array.from({ length: size }, () => new Array(size).fill(0));
+
+        for (const read of reads) {
+            if (read.spec.size !== size) {
+                throw new Error('Only cycles of the same version can be combined');
+            }
+            let soft = this.getSoftMatrix(read);
+            if (read.layout.interleaved) {
+                soft = this.interleaver.deinterleave(soft, read.layout.rotation);
+            }
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    likelihoods[row][col] += soft[row][col];
+                    votes[row][col] += Math.sign(soft[row][col]);
+                }
+            }
+        }
+
+        return likelihoods.map((row, r) => row.map((likelihood, c) => {
+            const vote = method === 'majority' ? votes[r][c] : 0;
+            return (vote !== 0 ? vote : likelihood) > 0 ? 1 : 0;
+        }));
+    }
+
+    // Bit likelihoods of one cycle in transmission order, laid out like the
+    // matrix chunksToMatrixColumn builds: positive favours 1, 0 = not received
+    getSoftMatrix(read) {
+        const { spec, slots } = read;
+        const soft = Array.from({ length: spec.size }, () => new Array(spec.size).fill(0));
+
+        for (const slot of slots) {
+            const bits = this.getSlotBitLikelihoods(slot);
+            const startRow = slot.chunk * spec.chunkSize;
+            for (let bit = 0; bit < spec.chunkSize && startRow + bit < spec.size; bit++) {
+                soft[startRow + bit][slot.column] = bits[bit];
+            }
+        }
+        return soft;
+    }
+
+    // Likelihood of each bit of a slot value (LSB first) from its tone strengths.
+    // Max-log for non-coherent FSK: the strongest tone with the bit set against
+    // the strongest with it clear, scaled by the winning amplitude over the
+    // slot's noise power so clearly received slots count for more.
+    getSlotBitLikelihoods(slot) {
+        const likelihoods = [];
+
+        for (const strengths of slot.tones) {
+            const bits = Math.log2(strengths.length);
+            let best = 0;
+            let totalPower = 0;
+            for (const strength of strengths) {
+                best = Math.max(best, strength);
+                totalPower += strength * strength;
+            }
+            const noisePower = (totalPower - best * best) / (strengths.length - 1) + 1e-20;
+
+            for (let bit = 0; bit < bits; bit++) {
+                let one = 0;
+                let zero = 0;
+                for (let index = 0; index < strengths.length; index++) {
+                    if ((index >> bit) & 1) {
+                        one = Math.max(one, strengths[index]);
+                    } else {
+                        zero = Math.max(zero, strengths[index]);
+                    }
+                }
+                likelihoods.push(2 * best * (one - zero) / noisePower);
+            }
+        }
+        return likelihoods;
+    }
+
     // FIXED: Proper chunk to matrix conversion
     chunksToMatrixColumn(chunks, matrix, col, spec) {
         for (let chunkIdx = 0; chunkIdx < chunks.length; chunkIdx++) {
@@ -598,7 +1491,7 @@ export class SoundQRDecoder {
                             break;
                         case 'freq-direct':
                             // Use frequency index directly as binary pattern
-                            bitValue = (chunkValue > (64 / 2)) ? 1 : 0;
+                            bitValue = (chunkValue > (1 << spec.chunkSize) / 2) ? 1 : 0;
                             break;
                         case 'inverted':
                             // Inverted LSB first
@@ -644,13 +1537,13 @@ export class SoundQRDecoder {
   getVersionPriorities(capability) {
     switch (capability) {
       case 'full':
-        return [1, 2, 3, 4, 5];
+        return [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
       case 'standard':
-        return [1, 2, 3, 4, 5];
+        return [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
       case 'limited':
         return [1, 2, 3];
       default:
-        return [1, 2, 3, 4, 5];
+        return [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
     }
   }
 }
\ No newline at end of file
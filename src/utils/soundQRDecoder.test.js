@@ -0,0 +1,58 @@
+import { SoundQREncoder } from './soundQREncoder';
+import { SoundQRDecoder } from './soundQRDecoder';
+import { QRProcessor } from './qrUtils';
+import { getFrequencyProfile } from './frequencyProfiles';
+import { installWebAudioStub } from '../testUtils/webAudioStub';
+
+const PAYLOAD = 'COLUMN CHECKS';
+
+describe('SoundQRDecoder column checks', () => {
+    const qrProcessor = new QRProcessor();
+
+    beforeAll(() => {
+        installWebAudioStub();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    // A perfect read of one standard-profile cycle (what readCycleSymbols returns)
+    // with the top padding bit flipped in the listed columns. The data stays
+    // intact, so whether the cycle decodes only depends on the column checks.
+    async function decodeWithBadPadding(version, badColumns) {
+        const profile = getFrequencyProfile('standard');
+        const spec = qrProcessor.getVersionSpec(version, profile);
+        const qrData = await qrProcessor.generateQR(PAYLOAD, version, 'M');
+        const columns = new SoundQREncoder().buildCycleSymbols(qrData, profile, { columnCheck: true });
+
+        for (const col of badColumns) {
+            columns[col][columns[col].length - 1] ^= 1 << (spec.chunkSize - 1);
+        }
+
+        const layout = { timingPreset: 'standard', tonesPerSlot: 1, interleaved: false, rotation: 0, columnCheck: true, profile };
+        const read = { layout, profile, spec, columns, tracking: null };
+        return new SoundQRDecoder().decodeCycle(null, { version, confidence: 1 }, read);
+    }
+
+    test('reports which columns failed their check', async () => {
+        const result = await decodeWithBadPadding(3, [4, 17]);
+
+        expect(result.text).toBe(PAYLOAD);
+        expect(result.corruptedColumns).toBe(2);
+        expect(result.columnValidity).toEqual(Array.from({ length: 29 }, (_, col) => col !== 4 && col !== 17));
+    });
+
+    // Version 3 has 1 padding bit on 6-bit slots (29 columns, so at most 5.8 may be
+    // corrupted), version 1 has 3 (21 columns, at most 4.2)
+    test.each([
+        [3, 1, 2, 3],
+        [1, 3, 3, 4]
+    ])('scales version %i failures by the %i-bit pass rate: %i keep the cycle, %i discard it', async (version, paddingBits, kept, discarded) => {
+        expect(qrProcessor.getColumnPaddingBits(version, 'standard')).toBe(paddingBits);
+        const columns = count => Array.from({ length: count }, (_, i) => 2 + i * 5);
+
+        expect((await decodeWithBadPadding(version, columns(kept))).text).toBe(PAYLOAD);
+        expect(await decodeWithBadPadding(version, columns(discarded))).toBeNull();
+    });
+});
@@ -1,23 +1,188 @@
-import { AudioProcessor } from './audioUtils';
+import { AudioProcessor, OUTPUT_SAMPLE_RATES } from './audioUtils';
 import { QRProcessor } from './qrUtils';
+import { SoundQRDecoder } from './soundQRDecoder';
+import { BinaryFramer } from './binaryFraming';
+import { StreamHeader } from './streamHeader';
+import { Interleaver, INTERLEAVE_ROTATIONS } from './interleaver';
+import {
+  getFrequencyProfile,
+  getBitsPerSymbol,
+  getSignallingProfile,
+  withTimingPreset,
+  withTonesPerSlot
+} from './frequencyProfiles';
+
+// Value below which `fraction` of the values fall (nearest rank)
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
 
 export class SoundQREncoder {
   constructor() {
     this.audioProcessor = new AudioProcessor();
     this.qrProcessor = new QRProcessor();
+    this.binaryFramer = new BinaryFramer();
+    this.streamHeader = new StreamHeader();
+    this.interleaver = new Interleaver();
   }
 
   async encode(audioFile, qrText, options = {}) {
+    try {
+      // Load and process audio
+      const audioBuffer = await this.audioProcessor.loadAudioFile(audioFile); // Fixed: use audioFile parameter
+      return await this.encodeAudioBuffer(audioBuffer, qrText, {
+        sourceSampleRate: this.audioProcessor.sourceSampleRate,
+        ...options
+      });
+    } catch (error) {
+      throw new Error(`Encoding failed: ${error.message}`);
+    }
+  }
+
+  // Build a standalone beacon track (no carrier audio) that carries only the payload
+  async generateBeacon(qrText, options = {}) {
     const {
-      version = 1,
+      version = 1, // 1-10 or 'auto'
+      errorCorrectionLevel = 'M', // 'L' | 'M' | 'Q' | 'H'
       cycles = 3,
-      // Remove amplitude parameter - calculate from audio peak
+      duration = null, // Seconds; null = just long enough for `cycles`
+      background = 'none', // 'none' | 'white' | 'pink'
+      noiseLevel = -50, // Background bed level in dBFS
+      amplitude = 0.25, // Beacon tones can sit well above the noise bed
+      loop = true, // Make the end flow seamlessly back into the start
+      synthesis = 'continuous',
+      transitionWindow = 'raised-cosine',
+      profile = 'standard', // Frequency-plan profile name or object
+      tonesPerSlot = 1, // Simultaneous tones per slot
+      timingPreset = 'standard', // 'fast' | 'standard' | 'robust'
+      interleave = 'off', // 'off' | 'fixed' | 'rotating' (QR payloads only)
+      columnCheck = true, // Per-column checks in the padding bits (QR payloads only)
+      outputSampleRate = null, // 44100 | 48000 | 96000; null = the audio context's rate
+      verify = false, // Decode the beacon again and attach a verification report
+      payloadType = 'qr', // 'qr' | 'binary'
+      frameSize = 64, // Binary mode: payload bytes per frame
+      parityBytes = 16 // Binary mode: Reed-Solomon parity bytes per frame
     } = options;
 
-  try {
-    // Load and process audio
-    const audioBuffer = await this.audioProcessor.loadAudioFile(audioFile); // Fixed: use audioFile parameter
-    
+    try {
+      await this.audioProcessor.initAudioContext();
+      const sampleRate = this.resolveOutputSampleRate(outputSampleRate);
+      const plan = withTonesPerSlot(withTimingPreset(profile, timingPreset), tonesPerSlot);
+
+      const resolvedVersion = payloadType === 'qr'
+        ? this.resolveVersion(qrText, version, errorCorrectionLevel, plan)
+        : null;
+      const timing = payloadType === 'binary'
+        ? this.binaryFramer.buildPayload(qrText, { frameSize, parityBytes, profile: plan }).timing
+        : this.qrProcessor.getCycleTiming(resolvedVersion, plan);
+      const cycleLength = timing.totalTime / 1000;
+      const cyclePeriod = (timing.totalTime + timing.cycleGap) / 1000;
+
+      let trackDuration;
+      let placement;
+
+      if (loop) {
+        // Cycles sit on an even grid that wraps around, so the gap after the
+        // last cycle matches the gap between all the others
+        const count = duration ? Math.floor(duration / cyclePeriod) : cycles;
+        if (count < 1) {
+          throw new Error(`Beacon too short. One cycle needs ${cyclePeriod.toFixed(2)}s`);
+        }
+        const spacing = duration ? duration / count : cyclePeriod;
+        trackDuration = count * spacing;
+        placement = { distribution: 'fill', cycles: Math.min(cycles, count), interval: spacing };
+      } else {
+        trackDuration = duration || cycleLength + (cycles - 1) * cyclePeriod;
+        placement = { distribution: duration ? 'fill' : 'packed', cycles, interval: null };
+      }
+
+      const length = Math.ceil(trackDuration * sampleRate);
+      const carrier = this.audioProcessor.audioContext.createBuffer(1, length, sampleRate);
+
+      if (background !== 'none') {
+        const level = Math.pow(10, noiseLevel / 20);
+        const fade = loop ? Math.floor(sampleRate * 0.5) : 0;
+        let bed = this.audioProcessor.generateNoise(length + fade, background, level);
+        if (loop) {
+          bed = this.audioProcessor.makeLoopable(bed, fade);
+        }
+        carrier.copyToChannel(bed, 0);
+      }
+
+      const result = await this.encodeAudioBuffer(carrier, qrText, {
+        ...placement,
+        version: resolvedVersion,
+        errorCorrectionLevel,
+        payloadType,
+        frameSize,
+        parityBytes,
+        amplitude,
+        synthesis,
+        transitionWindow,
+        profile,
+        tonesPerSlot,
+        timingPreset,
+        interleave,
+        columnCheck,
+        outputSampleRate: sampleRate,
+        verify,
+        channelMode: 'mono'
+      });
+
+      return {
+        ...result,
+        background,
+        loop,
+        loopPoint: loop ? trackDuration : null
+      };
+    } catch (error) {
+      throw new Error(`Beacon generation failed: ${error.message}`);
+    }
+  }
+
+  async encodeAudioBuffer(audioBuffer, qrText, options = {}) {
+    const {
+      version: requestedVersion = 1, // 1-10 or 'auto' (smallest that fits)
+      cycles = 3,
+      channelMode = 'auto', // 'auto' | 'mono' | 'stereo' | 'mono-to-stereo' | 'both'
+      distribution = 'packed', // 'packed' (back to back from t=0) | 'fill' (spread across the track)
+      interval = null, // Seconds between cycle starts in 'fill' mode (null = spread evenly)
+      amplitude = null, // Fixed embedding level; null = derive from the audio peak
+      synthesis = 'continuous', // 'continuous' | 'legacy'
+      transitionWindow = 'raised-cosine', // 'raised-cosine' | 'gaussian'
+      adaptiveLevel = false, // Follow the music's loudness envelope instead of one global level
+      minLevelDb = -45, // Floor for the adaptive embedding level (dBFS)
+      maxLevelDb = -20, // Ceiling for the adaptive embedding level (dBFS)
+      headroom = 'limiter', // 'limiter' | 'attenuate' | 'none' (report clipping only)
+      ceilingDb = -0.1, // Output ceiling for the clipping protection
+      profile = 'standard', // Frequency-plan profile name or object
+      tonesPerSlot = 1, // Simultaneous tones per slot (1, 2 or 4); more tones shorten every cycle
+      timingPreset = 'standard', // 'fast' (30ms symbols) | 'standard' (60ms) | 'robust' (120ms), for the standard profile
+      interleave = 'off', // 'off' | 'fixed' (codewords spread across the cycle, see Interleaver) | 'rotating' (spread differently every cycle); QR only
+      columnCheck = true, // Check each column in its padding bits instead of zeros (RFC 676767 section 6.1); QR only
+      outputSampleRate = null, // 44100 | 48000 | 96000; null = the audio context's rate
+      sourceSampleRate = null, // Rate of the file the buffer was decoded from, when known (else the buffer's rate)
+      lowRatePolicy = 'reject', // 'reject' | 'warn' for sources under 44.1 kHz (RFC 676767 section 4.1)
+      verify = false, // Decode the output again and attach a verification report (see verify())
+      errorCorrectionLevel = 'M', // 'L' | 'M' | 'Q' | 'H'
+      payloadType = 'qr', // 'qr' (text as a QR matrix) | 'binary' (raw bytes in Reed-Solomon frames)
+      frameSize = 64, // Binary mode: payload bytes per frame
+      parityBytes = 16 // Binary mode: Reed-Solomon parity bytes per frame (corrects half as many)
+    } = options;
+
+    const frequencyProfile = withTonesPerSlot(withTimingPreset(profile, timingPreset), tonesPerSlot);
+    if (!['off', 'fixed', 'rotating'].includes(interleave)) {
+      throw new Error(`Unknown interleave mode: ${interleave}`);
+    }
+
+    // Bring the carrier to the output rate so the tones are synthesized and mixed at one rate
+    await this.audioProcessor.initAudioContext();
+    const inputSampleRate = sourceSampleRate ?? audioBuffer.sampleRate;
+    this.audioProcessor.checkInputSampleRate(inputSampleRate, lowRatePolicy);
+    const sampleRate = this.resolveOutputSampleRate(outputSampleRate);
+    audioBuffer = this.audioProcessor.resampleBuffer(audioBuffer, sampleRate);
+
     // Calculate original audio peak for -20dB relative amplitude
     const channelData = audioBuffer.getChannelData(0);
     let peak = 0;
@@ -28,112 +193,556 @@ export class SoundQREncoder {
     // FIX: Enforce a minimum amplitude (e.g., 0.02 which is roughly -34dB)
     // This ensures the QR code is generated even on silent files
     const minAmplitude = 0.02;
-    const embedAmplitude = Math.max(peak * 0.1, minAmplitude);
+    const embedAmplitude = amplitude ?? Math.max(peak * 0.1, minAmplitude);
 
-    // Generate QR code
-    const qrData = await this.qrProcessor.generateQR(qrText, version);
-    
-    // Calculate timing requirements
-    const timing = this.qrProcessor.getCycleTiming(version);
-    const requiredDuration = timing.totalTime * cycles / 1000;
-    
-    if (audioBuffer.duration < requiredDuration) {
-      throw new Error(`Audio too short. Requires ${requiredDuration.toFixed(1)}s, got ${audioBuffer.duration.toFixed(1)}s`);
+    // Build the payload: a QR matrix, or Reed-Solomon frames for raw bytes.
+    // In binary mode a "cycle" is one pass over every frame.
+    let qrData = null;
+    let binaryData = null;
+    let timing;
+
+    if (payloadType === 'binary') {
+      this.audioProcessor.getBinaryMarker(frequencyProfile); // Fail early if the profile can't carry binary frames
+      binaryData = this.binaryFramer.buildPayload(qrText, { frameSize, parityBytes, profile: frequencyProfile });
+      timing = binaryData.timing;
+      console.log(`🔧 Binary payload: ${binaryData.length} bytes in ${binaryData.frames.length} frames`);
+    } else if (payloadType === 'qr') {
+      const version = this.resolveVersion(qrText, requestedVersion, errorCorrectionLevel, frequencyProfile);
+      qrData = await this.qrProcessor.generateQR(qrText, version, errorCorrectionLevel);
+      timing = this.qrProcessor.getCycleTiming(version, frequencyProfile);
+    } else {
+      throw new Error(`Unknown payload type: ${payloadType}`);
     }
 
+    // Calculate timing requirements
+    const cycleTimes = this.planCycleTimes(audioBuffer.duration, timing, {
+      distribution,
+      cycles,
+      interval,
+      sampleRate: audioBuffer.sampleRate
+    });
+    const requiredDuration = cycleTimes[cycleTimes.length - 1] + timing.totalTime / 1000;
+
+    // With an adaptive level the tones are synthesized at unity and shaped by the gain curve
+    const gainCurve = adaptiveLevel && amplitude === null
+      ? this.computeGainCurve(audioBuffer, { minLevelDb, maxLevelDb, profile: frequencyProfile })
+      : null;
+
     // Encode QR data into audio with calculated amplitude
-    const encodedSamples = await this.encodeQRIntoAudio(qrData, cycles, embedAmplitude);
-    
+    const encodedSamples = await this.encodeQRIntoAudio(qrData ?? binaryData, cycleTimes, gainCurve ? 1.0 : embedAmplitude, {
+      synthesis,
+      transitionWindow,
+      interleave,
+      columnCheck,
+      sampleRate,
+      profile: frequencyProfile
+    });
+
+    if (gainCurve) {
+      this.audioProcessor.applyGainCurve(encodedSamples, gainCurve, sampleRate);
+    }
+
     // Mix with original audio (no additional amplitude scaling)
-    const mixedBuffer = this.audioProcessor.mixAudioBuffers(audioBuffer, encodedSamples, 1.0);
-    
-    return {
+    const resolvedChannelMode = this.audioProcessor.resolveChannelMode(channelMode, audioBuffer.numberOfChannels);
+    const mixedBuffer = this.audioProcessor.mixAudioBuffers(audioBuffer, encodedSamples, 1.0, resolvedChannelMode);
+
+    // Payload on top of a track mastered near 0dBFS would clip in the WAV writer
+    const clipping = this.audioProcessor.applyHeadroom(mixedBuffer, { mode: headroom, ceilingDb });
+    if (clipping.clippedSamples > 0) {
+      console.warn(`⚠️ ${clipping.clippedSamples} samples exceeded 0dBFS after mixing (headroom: ${headroom})`);
+    }
+
+    const result = {
       audioBuffer: mixedBuffer,
+      payloadType,
       qrData,
+      binaryData: binaryData && {
+        length: binaryData.length,
+        frames: binaryData.frames.length,
+        frameSize,
+        parityBytes
+      },
       timing,
-      cycles,
+      profile: frequencyProfile.name,
+      tonesPerSlot,
+      timingPreset,
+      interleave: payloadType === 'qr' ? interleave : 'off',
+      columnCheck: payloadType === 'qr' && columnCheck,
+      sampleRate,
+      sourceSampleRate: inputSampleRate,
+      cycles: cycleTimes.length,
+      cycleTimes,
+      distribution,
+      channelMode: resolvedChannelMode,
+      synthesis,
+      transitionWindow,
       duration: requiredDuration,
-      embedAmplitude // For debugging
+      embedAmplitude: gainCurve ? null : embedAmplitude, // For debugging
+      gainCurve,
+      clipping
     };
-    
-  } catch (error) {
-    throw new Error(`Encoding failed: ${error.message}`);
+
+    if (verify) {
+      result.verification = await this.verify(result, qrText, { profile });
+    }
+    return result;
   }
-}
+
+  // Run the decoder over an encoder result. A blind decode of the whole buffer
+  // decides pass/fail; QR cycles and binary frames are then also read at their
+  // known positions and compared slot by slot with what was sent:
+  //   symbolErrors - slots read back as a different value
+  //   snrDb        - median winning-tone power over the other tones in its band
+  //   marginDb     - 10th percentile of the gap between winner and runner-up,
+  //                  over the rms of the other tones (measureSlot). It falls
+  //                  towards 0 dB as noise closes the gap and symbols start to flip.
+  async verify(result, payload, options = {}) {
+    const {
+      profile = 'standard' // Base profile the result was encoded with
+    } = options;
+
+    const decoder = new SoundQRDecoder();
+    const { audioBuffer, payloadType } = result;
+    const report = { passed: false, error: null, cyclesDecoded: 0, cycles: [], framesDecoded: 0, frames: [], snrDb: null, marginDb: null };
+
+    try {
+      const decoded = await decoder.decode(audioBuffer, { profile, payloadType });
+      const expected = payloadType === 'binary' ? this.binaryFramer.toBytes(payload) : result.qrData.text;
+      report.passed = payloadType === 'binary'
+        ? decoded.data.length === expected.length && decoded.data.every((byte, i) => byte === expected[i])
+        : decoded.data === expected;
+      if (!report.passed) {
+        report.error = 'Decoded payload differs from the original';
+      }
+    } catch (error) {
+      report.error = error.message;
+    }
+
+    const plan = withTonesPerSlot(withTimingPreset(profile, result.timingPreset), result.tonesPerSlot);
+    const channelData = audioBuffer.getChannelData(0);
+    const { sampleRate } = audioBuffer;
+
+    if (payloadType === 'qr') {
+      const { qrData, interleave, columnCheck } = result;
+
+      for (let index = 0; index < result.cycleTimes.length; index++) {
+        const time = result.cycleTimes[index];
+        const rotation = interleave === 'rotating' ? index % INTERLEAVE_ROTATIONS : 0;
+        const sent = this.buildCycleSymbols(qrData, plan, { interleaved: interleave !== 'off', rotation, columnCheck }).flat();
+        const cycle = { version: qrData.version, startSample: Math.floor(sampleRate * time), startTime: time, confidence: 1, profile };
+
+        const read = decoder.readCycleSymbols(channelData, cycle, sampleRate);
+        if (!read) {
+          report.cycles.push({ index, time, headerRead: false, decoded: false, symbolErrors: null, symbolCount: sent.length, snrDb: null, marginDb: null });
+          continue;
+        }
+
+        const received = read.columns.flat();
+        const symbolErrors = sent.filter((value, i) => received[i] !== value).length;
+        const decodedCycle = await decoder.decodeCycle(audioBuffer, { ...cycle, layout: read.layout }, read);
+        const decoded = decodedCycle?.text === qrData.text;
+
+        report.cycles.push({
+          index,
+          time,
+          headerRead: true,
+          decoded,
+          symbolErrors,
+          symbolCount: sent.length,
+          ...this.summarizeSlots(read.slots)
+        });
+        if (decoded) report.cyclesDecoded++;
+      }
+    } else {
+      const { frameSize, parityBytes } = result.binaryData;
+      const binaryData = this.binaryFramer.buildPayload(payload, { frameSize, parityBytes, profile: plan });
+      const bitsPerSymbol = getBitsPerSymbol(plan);
+
+      // Where each frame's start marker falls in a pass, summed the way synthesizeFSK lays out segments
+      const { start } = this.audioProcessor.getBinaryMarker(plan);
+      const frameOffsets = [];
+      let offset = 0;
+      for (const segment of this.buildBinarySegments(binaryData, plan)) {
+        if (segment.frequency === start) frameOffsets.push(offset);
+        offset += Math.floor(sampleRate * segment.duration);
+      }
+
+      result.cycleTimes.forEach((passTime, pass) => binaryData.frames.forEach((frame, seq) => {
+        const startSample = Math.floor(sampleRate * passTime) + frameOffsets[seq];
+        const time = startSample / sampleRate;
+        const sent = this.binaryFramer.frameToSymbols(frame, bitsPerSymbol);
+
+        const read = decoder.readBinaryFrame(channelData, startSample, profile, sampleRate);
+        if (!read) {
+          report.frames.push({ pass, seq, time, headerRead: false, decoded: false, symbolErrors: null, symbolCount: sent.length, snrDb: null, marginDb: null });
+          return;
+        }
+
+        const slots = decoder.measureSymbols(channelData, read.headerStart, sent.length, read.layout.profile, sampleRate);
+        const symbolErrors = sent.filter((value, i) => slots[i].value !== value).length;
+        const body = decoder.readBinaryFrameBody(channelData, read, sampleRate);
+        const message = frame.body.subarray(0, frame.body.length - parityBytes);
+        const decoded = read.header.seq === seq && body !== null &&
+          body.data.length === message.length && body.data.every((byte, i) => byte === message[i]);
+
+        report.frames.push({
+          pass,
+          seq,
+          time,
+          headerRead: true,
+          decoded,
+          symbolErrors,
+          symbolCount: sent.length,
+          ...this.summarizeSlots(slots)
+        });
+        if (decoded) report.framesDecoded++;
+      }));
+    }
+
+    const measured = [...report.cycles, ...report.frames].filter(entry => entry.headerRead);
+    if (measured.length > 0) {
+      report.snrDb = percentile(measured.map(entry => entry.snrDb), 0.5);
+      report.marginDb = Math.min(...measured.map(entry => entry.marginDb));
+    }
+
+    console.log(`${report.passed ? '✅' : '❌'} Verification: ${report.passed ? 'decodes' : report.error}` +
+      (payloadType === 'qr'
+        ? `, ${report.cyclesDecoded}/${result.cycleTimes.length} cycles`
+        : `, ${report.framesDecoded}/${report.frames.length} frames`));
+    return report;
+  }
+
+  // Signal figures of a run of measureSlot results, as verify reports them
+  summarizeSlots(slots) {
+    return {
+      snrDb: percentile(slots.map(slot => slot.snrDb), 0.5),
+      marginDb: percentile(slots.map(slot => slot.marginDb), 0.1)
+    };
+  }
+
+  // Turn 'auto' into the smallest version the profile has markers for that fits the text
+  resolveVersion(qrText, version, errorCorrectionLevel = 'M', profile = 'standard') {
+    const { name, markers } = getFrequencyProfile(profile);
+
+    if (version === 'auto') {
+      const resolved = this.qrProcessor.selectVersion(qrText, errorCorrectionLevel, Object.keys(markers));
+      console.log(`🔧 Auto version: ${resolved}-${errorCorrectionLevel} for ${qrText.length} characters`);
+      return resolved;
+    }
+
+    if (!markers[version]) {
+      throw new Error(`Profile "${name}" has no markers for version ${version}`);
+    }
+    return version;
+  }
+
+  // Turn null into the audio context's rate; explicit rates must be one of OUTPUT_SAMPLE_RATES
+  resolveOutputSampleRate(outputSampleRate) {
+    if (outputSampleRate === null) {
+      return this.audioProcessor.sampleRate;
+    }
+    if (!OUTPUT_SAMPLE_RATES.includes(outputSampleRate)) {
+      throw new Error(`Unsupported output sample rate: ${outputSampleRate}Hz (use ${OUTPUT_SAMPLE_RATES.join(', ')})`);
+    }
+    return outputSampleRate;
+  }
+
+  // Per-segment embedding gain that tracks the original's short-term loudness.
+  // Full-band loudness sets how much the music masks the payload (-20dB relative,
+  // as in RFC 4.1); payload-band loudness sets how loud it must be to stay decodable.
+  computeGainCurve(audioBuffer, options = {}) {
+    const {
+      minLevelDb = -45,
+      maxLevelDb = -20,
+      fullBandOffsetDb = -20,
+      bandOffsetDb = 6,
+      segmentDuration = 0.25,
+      smoothing = 0.5, // 0 = jump straight to each target, 1 = never move
+      profile = 'standard'
+    } = options;
+
+    if (!(minLevelDb <= maxLevelDb)) {
+      throw new Error(`Adaptive level floor (${minLevelDb}dBFS) is above its ceiling (${maxLevelDb}dBFS)`);
+    }
+
+    const toDb = (value) => 20 * Math.log10(Math.max(value, 1e-9));
+    const envelope = this.audioProcessor.measureLoudnessEnvelope(audioBuffer, { segmentDuration, profile });
+
+    let previousDb = null;
+    const curve = envelope.map(({ time, fullBandRms, bandRms }) => {
+      const fullBandDb = toDb(fullBandRms);
+      const bandDb = toDb(bandRms);
+      const targetDb = Math.min(maxLevelDb, Math.max(minLevelDb,
+        Math.max(fullBandDb + fullBandOffsetDb, bandDb + bandOffsetDb)));
+
+      // One-pole smoothing so the level doesn't pump from segment to segment
+      const gainDb = previousDb === null ? targetDb : previousDb + (targetDb - previousDb) * (1 - smoothing);
+      previousDb = gainDb;
+
+      return {
+        time,
+        gain: Math.pow(10, gainDb / 20),
+        gainDb,
+        fullBandDb,
+        bandDb
+      };
+    });
+
+    const levels = curve.map(point => point.gainDb);
+    console.log(`Adaptive level: ${curve.length} segments, ${Math.min(...levels).toFixed(1)} to ${Math.max(...levels).toFixed(1)} dBFS`);
+
+    return curve;
+  }
+
+  // Work out where each cycle starts (in seconds) for the chosen distribution.
+  // With the sample rate given, durations are compared to the nearest sample, so
+  // a track cut to exactly the required length fits.
+  planCycleTimes(trackDuration, timing, { distribution = 'packed', cycles = 3, interval = null, sampleRate = null } = {}) {
+    const cycleLength = timing.totalTime / 1000;
+    const cyclePeriod = (timing.totalTime + timing.cycleGap) / 1000;
+    const slack = sampleRate ? 0.5 / sampleRate : 0;
+
+    if (distribution === 'packed') {
+      const requiredDuration = cycleLength + (cycles - 1) * cyclePeriod;
+      if (trackDuration + slack < requiredDuration) {
+        throw new Error(`Audio too short. Requires ${requiredDuration.toFixed(1)}s, got ${trackDuration.toFixed(1)}s`);
+      }
+      return Array.from({ length: cycles }, (_, i) => i * cyclePeriod);
+    }
+
+    if (distribution !== 'fill') {
+      throw new Error(`Unknown cycle distribution: ${distribution}`);
+    }
+
+    if (interval !== null && interval < cyclePeriod) {
+      throw new Error(`Interval too short. Cycles need at least ${cyclePeriod.toFixed(2)}s between starts`);
+    }
+
+    // Room left for cycle starts once the last cycle has to finish inside the track
+    const startSpan = Math.max(0, trackDuration - cycleLength);
+    const spacing = interval || cyclePeriod;
+    const count = trackDuration + slack >= cycleLength ? Math.floor((startSpan + slack) / spacing) + 1 : 0;
+
+    if (count < cycles) {
+      const requiredDuration = cycleLength + (cycles - 1) * spacing;
+      throw new Error(`Audio too short. Requires ${requiredDuration.toFixed(1)}s for ${cycles} cycles, got ${trackDuration.toFixed(1)}s`);
+    }
+
+    // Without a fixed interval, spread the slack so the last cycle ends with the track
+    const step = interval || (count > 1 ? startSpan / (count - 1) : 0);
+    const cycleTimes = Array.from({ length: count }, (_, i) => i * step);
+
+    console.log(`Fill mode: ${count} cycles, ${step.toFixed(2)}s apart across ${trackDuration.toFixed(1)}s`);
+    return cycleTimes;
+  }
+
   // In encodeQRIntoAudio method, add debugging to verify frequency generation:
-async encodeQRIntoAudio(qrData, cycles, amplitude) {
-    const { matrix, version } = qrData;
-    const markers = this.audioProcessor.getBoundaryMarkers()[version];
-    const frequencies = this.audioProcessor.getFrequencyGrid();
-    const timing = this.qrProcessor.getCycleTiming(version);
+  // qrData is either a generated QR ({ matrix, version }) or a binary payload from BinaryFramer
+async encodeQRIntoAudio(qrData, cycleTimes, amplitude, options = {}) {
+    const {
+      synthesis = 'continuous', // 'continuous' (phase-continuous FSK) | 'legacy' (one tone per chunk)
+      transitionWindow = 'raised-cosine', // 'raised-cosine' | 'gaussian'
+      transitionTime = 0.005, // Seconds spent gliding between neighbouring symbols
+      interleave = 'off', // 'off' | 'fixed' | 'rotating'
+      columnCheck = false, // Column padding carries checks instead of zeros
+      sampleRate = this.audioProcessor.sampleRate,
+      profile = 'standard'
+    } = options;
+
+    const isBinary = qrData.payloadType === 'binary';
+    const frequencies = this.audioProcessor.getFrequencyGrid(profile);
+    const timing = isBinary ? qrData.timing : this.qrProcessor.getCycleTiming(qrData.version, profile);
     
     // DEBUG: Log frequency grid
     console.log('Frequency grid:', frequencies.slice(0, 5), '...', frequencies.slice(-5));
-    console.log('Expected frequencies for first column:');
-    console.log('  Chunk 0 (63):', frequencies[63]);
-    console.log('  Chunk 1 (47):', frequencies[47]);  
-    console.log('  Chunk 2 (15):', frequencies[15]);
-    console.log('  Chunk 3 (56):', frequencies[56]);
     
-    const totalSamples = Math.floor(this.audioProcessor.sampleRate * timing.totalTime * cycles / 1000);
+    const lastCycleEnd = cycleTimes[cycleTimes.length - 1] + timing.totalTime / 1000;
+    const totalSamples = Math.floor(sampleRate * lastCycleEnd);
     const encodedSamples = new Float32Array(totalSamples);
-    
-    let sampleOffset = 0;
-
-    for (let cycle = 0; cycle < cycles; cycle++) {
-      // Start marker
-      const startMarker = this.audioProcessor.generateTone(
-          markers.start,
-          timing.startMarker / 1000,
-          amplitude);
-      console.log(`Cycle ${cycle}: Start marker ${markers.start}Hz, ${startMarker.length} samples, amplitude ${amplitude}`);
-      this.addSamples(encodedSamples, startMarker, sampleOffset);
-      sampleOffset += startMarker.length;
-
-      // Encode each column  
-      for (let col = 0; col < matrix.length; col++) {
-        const chunks = this.qrProcessor.processColumn(matrix, col, version);
-        
-        // DEBUG first column only
-        if (col === 0 && cycle === 0) {
-          console.log(`Encoding column ${col}, chunks:`, chunks);
-          for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-            const frequency = frequencies[chunks[chunkIndex]];
-            console.log(`  Chunk ${chunkIndex}: value ${chunks[chunkIndex]} → ${frequency}Hz`);
-          }
-        }
-        
-        // Encode each chunk in column
+
+    // Cycles with the same interleave rotation carry the same symbols, so build
+    // (and synthesize) each distinct cycle once
+    const interleaved = !isBinary && interleave !== 'off';
+    const renderedCycles = new Map();
+
+    for (let cycle = 0; cycle < cycleTimes.length; cycle++) {
+      const rotation = interleaved ? cycle % INTERLEAVE_ROTATIONS : 0;
+
+      if (!renderedCycles.has(rotation)) {
+        const segments = isBinary
+          ? this.buildBinarySegments(qrData, profile)
+          : this.buildCycleSegments(qrData, timing, profile, { interleaved, rotation, columnCheck });
+        const cycleSamples = this.synthesizeCycle(segments, amplitude, { synthesis, transitionWindow, transitionTime, sampleRate, profile });
+        renderedCycles.set(rotation, cycleSamples);
+
+        console.log(`Cycle: ${segments.length} segments, ${cycleSamples.length} samples, ${synthesis} synthesis, amplitude ${amplitude}${interleaved ? `, interleave rotation ${rotation}` : ''}`);
+      }
+
+      const sampleOffset = Math.floor(sampleRate * cycleTimes[cycle]);
+      this.addSamples(encodedSamples, renderedCycles.get(rotation), sampleOffset);
+    }
+
+    return encodedSamples;
+}
+
+  // Render one cycle's segments. Each simultaneous tone is its own
+  // phase-continuous stream; the streams are summed.
+  synthesizeCycle(segments, amplitude, options = {}) {
+    const {
+      synthesis = 'continuous',
+      transitionWindow = 'raised-cosine',
+      transitionTime = 0.005,
+      sampleRate = this.audioProcessor.sampleRate,
+      profile = 'standard'
+    } = options;
+
+    const cycleSamples = new Float32Array(this.getSegmentsLength(segments, sampleRate));
+    for (const stream of this.splitToneStreams(segments, profile)) {
+      const streamSamples = synthesis === 'legacy'
+        ? this.synthesizeLegacy(stream, amplitude, sampleRate)
+        : this.audioProcessor.synthesizeFSK(stream, {
+          amplitude,
+          window: transitionWindow,
+          transitionTime,
+          sampleRate
+        });
+      this.addSamples(cycleSamples, streamSamples, 0);
+    }
+    return cycleSamples;
+  }
+
+  // Slot values of one cycle, column by column, in transmission order
+  buildCycleSymbols(qrData, profile = 'standard', options = {}) {
+    const {
+      interleaved = false,
+      rotation = 0,
+      columnCheck = false
+    } = options;
+    const matrix = interleaved ? this.interleaver.interleave(qrData.matrix, rotation) : qrData.matrix;
+    return matrix.map((_, col) => this.qrProcessor.processColumn(matrix, col, qrData.version, profile, { columnCheck }));
+  }
+
+  // Lay out one cycle as a list of segments: start marker, stream header, every
+  // chunk of every column, end marker. Markers are { frequency, duration, amplitude }; data slots
+  // carry { tones, duration } with one frequency per simultaneous tone.
+  // An interleaved cycle sends the matrix in Interleaver order for its rotation.
+  buildCycleSegments(qrData, timing, profile = 'standard', options = {}) {
+    const {
+      interleaved = false,
+      rotation = 0, // 0 to INTERLEAVE_ROTATIONS - 1
+      columnCheck = false
+    } = options;
+    const { version } = qrData;
+    const markers = this.audioProcessor.getBoundaryMarkers(profile)[version];
+    const columns = this.buildCycleSymbols(qrData, profile, { interleaved, rotation, columnCheck });
+    const segments = [];
+
+    segments.push({ frequency: markers.start, duration: timing.startMarker / 1000 });
+    segments.push(...this.buildHeaderSegments(profile, { interleaved, rotation, columnCheck }));
+
+    for (let col = 0; col < columns.length; col++) {
+      const chunks = columns[col];
+
+      // DEBUG first column only
+      if (col === 0) {
+        console.log(`Encoding column ${col}, chunks:`, chunks);
         for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-          const frequency = frequencies[chunks[chunkIndex]];
-          const chunkSamples = this.audioProcessor.generateTone(
-              frequency,
-              timing.chunkDuration / 1000,
-              amplitude);
-          
-          this.addSamples(encodedSamples, chunkSamples, sampleOffset);
-          sampleOffset += chunkSamples.length;
+          const tones = this.audioProcessor.getSlotFrequencies(chunks[chunkIndex], profile);
+          console.log(`  Chunk ${chunkIndex}: value ${chunks[chunkIndex]} → ${tones.join(' + ')}Hz`);
         }
-          // Add column gap if configured
-          if (timing.columnGap > 0) {
-              sampleOffset += Math.floor(this.audioProcessor.sampleRate * (timing.columnGap / 1000));
-          }
       }
 
-      // End marker
-      const endMarker = this.audioProcessor.generateTone(
-          markers.end,
-          timing.endMarker / 1000,
-          amplitude);
-      this.addSamples(encodedSamples, endMarker, sampleOffset);
-      sampleOffset += endMarker.length;
+      for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+        segments.push({
+          tones: this.audioProcessor.getSlotFrequencies(chunks[chunkIndex], profile),
+          duration: timing.chunkDuration / 1000
+        });
+      }
 
-      // Gap (silence)
-      sampleOffset += Math.floor(this.audioProcessor.sampleRate * 0.1); // 100ms gap
+      // Add column gap if configured
+      if (timing.columnGap > 0) {
+        segments.push({ frequency: null, duration: timing.columnGap / 1000, amplitude: 0 });
+      }
     }
 
-    return encodedSamples;
-}
+    segments.push({ frequency: markers.end, duration: timing.endMarker / 1000 });
+
+    return segments;
+  }
+
+  // Lay out one pass of a binary payload: every frame between binary markers,
+  // separated by silent gaps
+  buildBinarySegments(binaryData, profile = 'standard') {
+    const markers = this.audioProcessor.getBinaryMarker(profile);
+    const bitsPerSymbol = getBitsPerSymbol(profile);
+    const { frameTimings, cycleGap } = binaryData.timing;
+    const segments = [];
+
+    binaryData.frames.forEach((frame, i) => {
+      const timing = frameTimings[i];
+
+      if (i > 0) {
+        segments.push({ frequency: null, duration: cycleGap / 1000, amplitude: 0 });
+      }
+
+      segments.push({ frequency: markers.start, duration: timing.startMarker / 1000 });
+      segments.push(...this.buildHeaderSegments(profile));
+      for (const symbol of this.binaryFramer.frameToSymbols(frame, bitsPerSymbol)) {
+        segments.push({ tones: this.audioProcessor.getSlotFrequencies(symbol, profile), duration: timing.chunkDuration / 1000 });
+      }
+      segments.push({ frequency: markers.end, duration: timing.endMarker / 1000 });
+    });
+
+    return segments;
+  }
+
+  // Stream header announcing the timing preset, tones per slot, interleaving and column checks;
+  // always sent as single tones at standard timing so the decoder can read it first
+  buildHeaderSegments(profile = 'standard', flags = {}) {
+    const signalling = getSignallingProfile(profile);
+    const frequencies = this.audioProcessor.getFrequencyGrid(signalling);
+    return this.streamHeader.encode(profile, flags).map(index => ({
+      frequency: frequencies[index],
+      duration: signalling.chunkDuration / 1000
+    }));
+  }
+
+  // One single-tone segment list per simultaneous tone. Markers and gaps stay in
+  // the first stream (the others are silent there); data tones share the level
+  // so a slot carries the same total power however many tones it has.
+  splitToneStreams(segments, profile = 'standard') {
+    const { tonesPerSlot = 1 } = getFrequencyProfile(profile);
+    const toneLevel = 1 / Math.sqrt(tonesPerSlot);
+
+    return Array.from({ length: tonesPerSlot }, (_, tone) => segments.map(segment => {
+      if (segment.tones) {
+        return { frequency: segment.tones[tone], duration: segment.duration, amplitude: (segment.amplitude ?? 1) * toneLevel };
+      }
+      return tone === 0 ? segment : { ...segment, amplitude: 0 };
+    }));
+  }
+
+  // Samples spanned by a segment list (floor per segment, as in synthesizeFSK)
+  getSegmentsLength(segments, sampleRate) {
+    return segments.reduce((sum, segment) => sum + Math.floor(sampleRate * segment.duration), 0);
+  }
+
+  // Original synthesis: an independent enveloped sine per segment
+  synthesizeLegacy(segments, amplitude, sampleRate = this.audioProcessor.sampleRate) {
+    const tones = segments.map(({ frequency, duration, amplitude: level = 1 }) => (
+      level > 0
+        ? this.audioProcessor.generateTone(frequency, duration, amplitude * level, sampleRate)
+        : new Float32Array(Math.floor(sampleRate * duration))
+    ));
+
+    const samples = new Float32Array(tones.reduce((sum, tone) => sum + tone.length, 0));
+    let offset = 0;
+    for (const tone of tones) {
+      samples.set(tone, offset);
+      offset += tone.length;
+    }
+    return samples;
+  }
 
   addSamples(targetBuffer, sourceBuffer, offset) {
     for (let i = 0; i < sourceBuffer.length && offset + i < targetBuffer.length; i++) {
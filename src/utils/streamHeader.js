@@ -0,0 +1,109 @@
+// Stream header for Sound QR
+//
+// Every start marker (QR cycle or binary frame) is followed by STREAM_HEADER_SYMBOLS
+// single-tone symbols at standard timing that announce how the data after them
+// is laid out, so the decoder never has to be told:
+//
+//   symbol 0: bits 0-1 timing preset code, bits 2-3 log2(tones per slot)
+//   symbol 1: bit 0 interleaved, bits 1-2 interleave rotation, bit 3 column checks
+//             in the padding bits (zeros otherwise)
+//   symbol 2: check over symbols 0 and 1 (see checkField)
+//
+// Each symbol carries a 4-bit field on every (symbolCount / 16)th grid tone: 4 on
+// the 64-tone grids, 2 on robust's 32. A tone read less than half that spacing off
+// rounds to the right field. One read exactly halfway could be either neighbour,
+// so both are tried and the check keeps the one that fits - the header survives
+// tones up to two bins off on the 64-tone grids and one bin off on robust's.
+import {
+    TIMING_PRESETS,
+    STREAM_HEADER_SYMBOLS,
+    getFrequencyProfile,
+    getTimingPreset,
+    getTonesPerSlot,
+    withTimingPreset,
+    withTonesPerSlot
+} from './frequencyProfiles';
+
+const FIELD_VALUES = 16;
+
+// Weights and offset of the check field. With weights 3 and 5 no mix of
+// one-field slips on the three symbols checks out, so the halfway candidates
+// resolve to a single header. With the offset, a tone held on one field
+// position through all three symbols only checks out as field 3, whose preset
+// code is unassigned.
+const CHECK_WEIGHTS = [3, 5];
+const CHECK_OFFSET = 11;
+
+// Fields a grid index can stand for: the nearest, or both neighbours when it
+// sits exactly halfway between them
+function fieldCandidates(index, spacing) {
+    const position = index / spacing;
+    const fields = position % 1 === 0.5 ? [Math.floor(position), Math.ceil(position)] : [Math.round(position)];
+    return [...new Set(fields.map(field => Math.max(0, Math.min(FIELD_VALUES - 1, field))))];
+}
+
+export class StreamHeader {
+    // Grid indices of the header symbols describing a profile's layout
+    encode(profile, options = {}) {
+        const {
+            interleaved = false, // Codewords sent in Interleaver order
+            rotation = 0, // Interleave rotation used by this cycle
+            columnCheck = false // Column padding carries checks instead of zeros
+        } = options;
+
+        const plan = getFrequencyProfile(profile);
+        const presetCode = TIMING_PRESETS[getTimingPreset(plan)].code;
+        const toneBits = Math.log2(getTonesPerSlot(plan));
+        if (toneBits > 3) {
+            throw new Error(`Stream header can announce at most 8 tones per slot, got ${getTonesPerSlot(plan)}`);
+        }
+
+        const flags = (interleaved ? 1 | (rotation << 1) : 0) | (columnCheck ? 0b1000 : 0);
+        const layout = presetCode | (toneBits << 2);
+        const fields = [layout, flags, this.checkField(layout, flags)];
+        const spacing = plan.symbolCount / FIELD_VALUES;
+        return fields.slice(0, STREAM_HEADER_SYMBOLS).map(field => field * spacing);
+    }
+
+    // Layout announced by the header symbols read off the grid; null when implausible
+    decode(indices, profile) {
+        const plan = getFrequencyProfile(profile);
+        const spacing = plan.symbolCount / FIELD_VALUES;
+        const [layouts, flagSets, checks] = indices.map(index => fieldCandidates(index, spacing));
+
+        for (const layout of layouts) {
+            for (const flags of flagSets) {
+                if (checks.includes(this.checkField(layout, flags))) {
+                    return this.parseFields(layout, flags, plan);
+                }
+            }
+        }
+        return null;
+    }
+
+    // Check field sent after the layout and flags; any one misread symbol breaks it
+    checkField(layout, flags) {
+        return (CHECK_WEIGHTS[0] * layout + CHECK_WEIGHTS[1] * flags + CHECK_OFFSET) % FIELD_VALUES;
+    }
+
+    // Layout described by checked header fields; null when implausible
+    parseFields(layout, flags, plan) {
+        const timingPreset = Object.keys(TIMING_PRESETS).find(name => TIMING_PRESETS[name].code === (layout & 0b11));
+        const tonesPerSlot = 1 << (layout >> 2);
+        if (!timingPreset || tonesPerSlot > plan.symbolCount / 2) {
+            return null;
+        }
+        return {
+            timingPreset,
+            tonesPerSlot,
+            interleaved: (flags & 1) === 1,
+            rotation: (flags >> 1) & 0b11,
+            columnCheck: (flags & 0b1000) !== 0
+        };
+    }
+
+    // Profile variant matching a decoded header
+    apply(profile, header) {
+        return withTonesPerSlot(withTimingPreset(profile, header.timingPreset), header.tonesPerSlot);
+    }
+}
@@ -0,0 +1,74 @@
+import { StreamHeader } from './streamHeader';
+import { TIMING_PRESETS, getTonesPerSlot, withTimingPreset, withTonesPerSlot } from './frequencyProfiles';
+
+describe('StreamHeader', () => {
+    const header = new StreamHeader();
+
+    test.each(['standard', 'robust'])('round-trips every layout on the %s profile', profile => {
+        for (const timingPreset of Object.keys(TIMING_PRESETS)) {
+            for (const tonesPerSlot of [1, 2, 4]) {
+                for (const options of [
+                    { interleaved: false, columnCheck: false },
+                    { interleaved: true, rotation: 3, columnCheck: false },
+                    { interleaved: true, rotation: 1, columnCheck: true }
+                ]) {
+                    const plan = withTonesPerSlot(withTimingPreset(profile, timingPreset), tonesPerSlot);
+                    const decoded = header.decode(header.encode(plan, options), profile);
+
+                    expect(decoded).toEqual({
+                        timingPreset,
+                        tonesPerSlot,
+                        interleaved: options.interleaved,
+                        rotation: options.rotation ?? 0,
+                        columnCheck: options.columnCheck
+                    });
+                    const applied = header.apply(profile, decoded);
+                    expect(applied.chunkDuration).toBe(plan.chunkDuration);
+                    expect(getTonesPerSlot(applied)).toBe(tonesPerSlot);
+                }
+            }
+        }
+    });
+
+    // Fields sit on every fourth tone of the 64-tone grid and every second of robust's 32
+    test.each([
+        ['standard', [-2, -1, 1, 2]],
+        ['robust', [-1, 1]]
+    ])('reads the %s header from tones up to half a field spacing off', (profile, offsets) => {
+        const plan = withTonesPerSlot(withTimingPreset(profile, 'robust'), 2);
+        const sent = header.encode(plan, { interleaved: true, rotation: 2, columnCheck: true });
+        const expected = header.decode(sent, profile);
+        expect(expected).toEqual({ timingPreset: 'robust', tonesPerSlot: 2, interleaved: true, rotation: 2, columnCheck: true });
+
+        for (const offset of offsets) {
+            expect(header.decode(sent.map(index => index + offset), profile)).toEqual(expected);
+            for (let symbol = 0; symbol < sent.length; symbol++) {
+                const read = sent.map((index, i) => (i === symbol ? index + offset : index));
+                expect(header.decode(read, profile)).toEqual(expected);
+            }
+        }
+    });
+
+    test.each([['standard', 4], ['robust', 2]])('rejects a %s header with one symbol read a field off', (profile, spacing) => {
+        const sent = header.encode(withTimingPreset(profile, 'standard'), { interleaved: true, rotation: 1 });
+
+        for (let symbol = 0; symbol < sent.length; symbol++) {
+            const read = sent.map((index, i) => (i === symbol ? index + spacing : index));
+            expect(header.decode(read, profile)).toBeNull();
+        }
+    });
+
+    test('rejects a header whose timing preset code is unassigned', () => {
+        for (const layout of [3, 3 | (1 << 2), 3 | (2 << 2)]) {
+            for (const flags of [0, 0b0101, 0b1000]) {
+                const fields = [layout, flags, header.checkField(layout, flags)];
+                expect(header.decode(fields.map(field => field * 4), 'standard')).toBeNull();
+            }
+        }
+    });
+
+    test('refuses to announce more tones per slot than the field holds', () => {
+        const plan = { ...withTimingPreset('standard', 'standard'), tonesPerSlot: 16 };
+        expect(() => header.encode(plan)).toThrow('at most 8 tones per slot');
+    });
+});
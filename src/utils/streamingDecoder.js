@@ -0,0 +1,372 @@
+// Streaming decoder for live input
+//
+// Samples arrive in blocks (from the capture worklet, see
+// AudioProcessor.startCapture) and go into a fixed ring buffer sized for the
+// longest cycle the profile can send. Start markers are searched for one hop at
+// a time as audio arrives, and each candidate is followed until the ring holds
+// all of it:
+//
+//   marker fires -> stream header arrives: align, read the layout
+//                -> cycle (or binary frame) ends: decode that span
+//
+// Work per second of audio stays constant however long the session runs: each
+// hop is probed once, and only finished cycles are decoded, each from a copy of
+// its own span. Markers are judged against a rolling noise floor per marker
+// frequency rather than the whole-file statistics the batch scan uses, and
+// against the tones either side of them: data tones leak into every marker
+// frequency at once, a real marker stands out from its neighbours. Hops inside
+// a cycle that is already being received aren't probed at all.
+
+import { SampleBuffer } from './audioUtils';
+import { SoundQRDecoder } from './soundQRDecoder';
+import { DirectSpectrum } from './spectralEngine';
+import { getFrequencyProfile, getBitsPerSymbol } from './frequencyProfiles';
+
+const HOP_DURATION = 25; // ms between marker probes, as in the batch scan
+const NOISE_HISTORY = 400; // Probes per marker the noise floor is the median of (10s)
+const NOISE_WARMUP = 20; // Probes before markers are judged at all
+const MARKER_RATIO = 4; // Markers stand this far above the floor, as in the binary scan
+const NEIGHBOUR_RATIO = 4; // ...and this far above the tones one marker spacing either side
+const MIN_MARKER_STRENGTH = 0.000001;
+const ALIGN_AHEAD = 60; // ms alignToMarkerOnsets may move an onset forward (50ms look-ahead + probe)
+const RING_MARGIN = 1000; // ms kept beyond the longest cycle
+
+export class StreamingDecoder {
+    constructor(options = {}) {
+        const {
+            sampleRate = 48000, // Rate of the pushed samples
+            profile = 'standard', // Must match the profile the audio was encoded with
+            payloadType = 'qr', // 'qr' | 'binary'
+            onResult = null, // Called with each decoded payload, shaped like SoundQRDecoder.decode's result plus `time`
+            onCycle = null // Called with { status: 'detected' | 'receiving' | 'failed', time } as cycles are followed
+        } = options;
+
+        if (payloadType !== 'qr' && payloadType !== 'binary') {
+            throw new Error(`Unknown payload type: ${payloadType}`);
+        }
+
+        this.decoder = new SoundQRDecoder();
+        this.sampleRate = sampleRate;
+        this.plan = getFrequencyProfile(profile);
+        this.payloadType = payloadType;
+        this.onResult = onResult;
+        this.onCycle = onCycle;
+
+        this.hopSamples = Math.floor(sampleRate * HOP_DURATION / 1000);
+        this.probeSamples = Math.floor(sampleRate * this.plan.analysisWindow / 1000);
+        this.markerSamples = Math.floor(sampleRate * this.plan.markerDuration / 1000);
+        this.markers = this.getMarkers();
+
+        // Samples needed past a marker before its headers can be read
+        this.headerSamples = Math.floor(sampleRate * ALIGN_AHEAD / 1000) + this.markerSamples +
+            this.decoder.getStreamHeaderSamples(this.plan, sampleRate) + this.getFrameHeaderSamples();
+
+        this.capacity = Math.ceil(sampleRate * (this.getLongestCycleTime() + this.plan.markerDuration + RING_MARGIN) / 1000);
+        this.ring = new Float32Array(this.capacity);
+        this.reset();
+    }
+
+    // Forget everything heard so far
+    reset() {
+        this.position = 0; // Samples pushed so far
+        this.scanPosition = 0; // Start of the next marker probe
+        this.candidates = [];
+        this.work = Promise.resolve();
+        this.lastResult = null; // Onset of the last cycle reported
+        this.bodies = [];
+        this.reference = null;
+        for (const marker of this.markers) {
+            marker.history = new Float32Array(NOISE_HISTORY);
+            marker.probes = 0;
+            marker.floor = 0;
+        }
+    }
+
+    // Start markers to listen for: one per QR version, or the binary frame marker.
+    // Neighbours sit one start-to-end spacing either side, on the marker grid.
+    getMarkers() {
+        const withNeighbours = ({ start, end }) => ({ frequency: start, neighbours: [2 * start - end, end] });
+
+        if (this.payloadType === 'binary') {
+            return [{ key: 'binary', version: null, ...withNeighbours(this.decoder.audioProcessor.getBinaryMarker(this.plan)) }];
+        }
+        const boundaryMarkers = this.decoder.audioProcessor.getBoundaryMarkers(this.plan);
+        return Object.keys(this.plan.markers).map(Number).map(version => ({
+            key: version,
+            version,
+            ...withNeighbours(boundaryMarkers[version])
+        }));
+    }
+
+    // Longest span, in ms, any layout of a cycle (or a full-size binary frame) takes
+    getLongestCycleTime() {
+        if (this.payloadType === 'binary') {
+            const frame = { body: { length: 255 } }; // Largest codeword
+            return Math.max(...this.decoder.getLayoutVariants(this.plan).map(plan =>
+                this.decoder.binaryFramer.getFrameTiming(frame, plan).totalTime));
+        }
+        return Math.max(...this.markers.map(({ version }) =>
+            Math.max(...this.decoder.getLayoutTimings(version, this.plan).map(timing => timing.totalTime))));
+    }
+
+    // Binary frames also need their frame header before the frame length is known
+    getFrameHeaderSamples() {
+        if (this.payloadType !== 'binary') return 0;
+        return Math.max(...this.decoder.getLayoutVariants(this.plan).map(plan =>
+            this.decoder.binaryFramer.getHeaderSymbolCount(getBitsPerSymbol(plan)) *
+            Math.floor(this.sampleRate * plan.chunkDuration / 1000)));
+    }
+
+    // Append a block of samples and act on whatever it completes
+    push(samples) {
+        // A block longer than the ring only keeps its tail
+        if (samples.length > this.capacity) {
+            this.position += samples.length - this.capacity;
+            samples = samples.subarray(samples.length - this.capacity);
+        }
+
+        const offset = this.position % this.capacity;
+        const first = Math.min(samples.length, this.capacity - offset);
+        this.ring.set(samples.subarray(0, first), offset);
+        this.ring.set(samples.subarray(first), 0);
+        this.position += samples.length;
+
+        this.scan();
+        this.advance();
+    }
+
+    // Copy of samples [from, to) by absolute position
+    read(from, to) {
+        if (from < this.position - this.capacity || to > this.position || to < from) {
+            throw new Error(`Samples ${from}-${to} are not in the ring buffer`);
+        }
+        const output = new Float32Array(to - from);
+        const start = from % this.capacity;
+        const first = Math.min(output.length, this.capacity - start);
+        output.set(this.ring.subarray(start, start + first), 0);
+        output.set(this.ring.subarray(0, output.length - first), first);
+        return output;
+    }
+
+    // Probe every hop that has fully arrived for each start marker
+    scan() {
+        if (this.scanPosition < this.position - this.capacity) {
+            this.scanPosition = this.position - this.capacity;
+        }
+
+        while (this.scanPosition + this.probeSamples <= this.position) {
+            const receiving = this.candidates.find(candidate => candidate.state === 'receiving' &&
+                this.scanPosition >= candidate.startSample + this.markerSamples && this.scanPosition < candidate.endSample);
+            if (receiving) {
+                // Nothing else starts inside a cycle being received; skip to its end
+                this.scanPosition += Math.ceil((receiving.endSample - this.scanPosition) / this.hopSamples) * this.hopSamples;
+                continue;
+            }
+
+            const spectrum = new DirectSpectrum(this.read(this.scanPosition, this.scanPosition + this.probeSamples), this.sampleRate);
+            for (const marker of this.markers) {
+                const strength = spectrum.strength(marker.frequency, 0, this.probeSamples);
+                if (marker.probes >= NOISE_WARMUP && strength > Math.max(marker.floor * MARKER_RATIO, MIN_MARKER_STRENGTH) &&
+                    marker.neighbours.every(frequency => strength > NEIGHBOUR_RATIO * spectrum.strength(frequency, 0, this.probeSamples))) {
+                    this.addCandidate(marker, this.scanPosition, strength);
+                }
+                this.recordStrength(marker, strength);
+            }
+            this.scanPosition += this.hopSamples;
+        }
+    }
+
+    recordStrength(marker, strength) {
+        marker.history[marker.probes % NOISE_HISTORY] = strength;
+        marker.probes++;
+
+        // The median moves slowly; refresh it every half second
+        if (marker.probes % NOISE_WARMUP === 0) {
+            const recent = marker.history.slice(0, Math.min(marker.probes, NOISE_HISTORY)).sort();
+            marker.floor = recent[Math.floor(recent.length / 2)];
+        }
+    }
+
+    addCandidate(marker, startSample, strength) {
+        // A marker fires on several consecutive probes; follow it once
+        const existing = this.candidates.find(candidate =>
+            candidate.marker === marker && Math.abs(candidate.detectedAt - startSample) <= this.markerSamples + this.hopSamples);
+        if (existing) {
+            existing.strength = Math.max(existing.strength, strength);
+            return;
+        }
+
+        this.candidates.push({ marker, detectedAt: startSample, strength, state: 'detected' });
+        this.notify('detected', startSample);
+    }
+
+    // Move candidates along as their headers and then their ends arrive
+    advance() {
+        for (const candidate of [...this.candidates]) {
+            if (candidate.state === 'detected' && this.position >= candidate.detectedAt + this.headerSamples) {
+                this.readHeaders(candidate);
+            }
+            if (candidate.state === 'receiving' && this.position >= candidate.endSample) {
+                this.drop(candidate);
+                this.decodeSpan(candidate);
+            }
+        }
+    }
+
+    // Align the candidate to its marker onset and read the headers behind it
+    readHeaders(candidate) {
+        const { marker } = candidate;
+        const segmentStart = Math.max(0, this.position - this.capacity, candidate.detectedAt - this.markerSamples - this.hopSamples);
+        const segment = this.read(segmentStart, this.position);
+
+        const [onset] = this.decoder.alignToMarkerOnsets(segment, [{
+            version: marker.version,
+            markerFrequency: marker.frequency,
+            startSample: candidate.detectedAt - segmentStart,
+            confidence: candidate.strength
+        }], this.sampleRate, this.plan);
+        const aligned = this.decoder.refineCycleOnset(segment, onset, this.sampleRate, this.plan);
+        const startSample = segmentStart + aligned.startSample;
+
+        if (this.payloadType === 'binary') {
+            const frame = this.decoder.readBinaryFrame(segment, aligned.startSample, this.plan, this.sampleRate);
+            if (!frame) {
+                this.fail(candidate, startSample);
+                return;
+            }
+            // Frame positions relative to the onset, for the span decodeSpan reads
+            candidate.frame = { ...frame, bodyStart: frame.bodyStart - aligned.startSample };
+            candidate.endSample = startSample + frame.endSample - aligned.startSample;
+        } else {
+            const layout = this.decoder.readStreamHeader(segment, aligned.startSample, this.plan, this.sampleRate);
+            if (!layout) {
+                this.fail(candidate, startSample);
+                return;
+            }
+            const timing = this.decoder.qrProcessor.getCycleTiming(marker.version, layout.profile);
+            candidate.layout = layout;
+            candidate.endSample = startSample + Math.floor(this.sampleRate * timing.totalTime / 1000);
+        }
+
+        candidate.startSample = startSample;
+
+        // One cycle is received at a time. Probes either side of an onset, or
+        // leakage the neighbour check let through, overlap the real cycle; the
+        // stronger marker wins.
+        const overlapping = this.candidates.find(other => other !== candidate && other.state === 'receiving' &&
+            other.startSample < candidate.endSample && startSample < other.endSample);
+        if (overlapping) {
+            if (overlapping.strength >= candidate.strength) {
+                this.drop(candidate);
+                return;
+            }
+            this.drop(overlapping);
+        }
+
+        candidate.state = 'receiving';
+        this.notify('receiving', startSample);
+    }
+
+    // Decode a finished cycle or frame from a copy of its span
+    decodeSpan(candidate) {
+        const { startSample, endSample } = candidate;
+        if (startSample < this.position - this.capacity) {
+            this.notify('failed', startSample);
+            return;
+        }
+        const span = this.read(startSample, endSample);
+        const time = startSample / this.sampleRate;
+
+        if (this.payloadType === 'binary') {
+            this.collectFrame(candidate, span, time);
+            return;
+        }
+
+        // decodeCycle is async (jsQR loads on demand); decodes finish in arrival order
+        const cycle = {
+            version: candidate.marker.version,
+            profile: candidate.layout.profile,
+            layout: candidate.layout,
+            startSample: 0,
+            confidence: candidate.strength
+        };
+        this.work = this.work.then(async () => {
+            // Two candidates for one transmission report it once
+            if (this.lastResult !== null && Math.abs(startSample - this.lastResult) < (endSample - startSample) / 2) {
+                return;
+            }
+            const decodedData = await this.decoder.decodeCycle(new SampleBuffer([span], this.sampleRate), cycle);
+            if (!decodedData) {
+                this.notify('failed', startSample);
+                return;
+            }
+            this.lastResult = startSample;
+            if (this.onResult) {
+                this.onResult({ ...this.decoder.formatCycleResult(cycle, decodedData, this.plan), time });
+            }
+        }).catch(error => {
+            console.warn(`⚠️ Live cycle at ${time.toFixed(2)}s failed: ${error.message}`);
+            this.notify('failed', startSample);
+        });
+    }
+
+    // Add a binary frame's body; emits the payload once every frame is in
+    collectFrame(candidate, span, time) {
+        const { frame } = candidate;
+        const { header } = frame;
+
+        // Frames of another payload restart the collection
+        if (this.reference && (header.count !== this.reference.count || header.totalLength !== this.reference.totalLength)) {
+            this.bodies = [];
+            this.reference = null;
+        }
+
+        const body = this.decoder.readBinaryFrameBody(span, frame, this.sampleRate);
+        if (!body) {
+            this.notify('failed', candidate.startSample);
+            return;
+        }
+
+        this.reference = this.reference || header;
+        this.bodies[header.seq] = body.data;
+        console.log(`✅ Live frame ${header.seq + 1}/${header.count} at ${time.toFixed(2)}s`);
+
+        const received = this.bodies.filter(Boolean).length;
+        if (received === header.count) {
+            const data = this.decoder.binaryFramer.assemble(this.bodies, header.count, header.totalLength);
+            this.bodies = [];
+            this.reference = null;
+            if (this.onResult) {
+                this.onResult({
+                    data,
+                    payloadType: 'binary',
+                    profile: this.plan.name,
+                    timingPreset: frame.layout.timingPreset,
+                    tonesPerSlot: frame.layout.tonesPerSlot,
+                    frames: header.count,
+                    time
+                });
+            }
+        }
+    }
+
+    fail(candidate, startSample) {
+        this.drop(candidate);
+        this.notify('failed', startSample);
+    }
+
+    drop(candidate) {
+        this.candidates = this.candidates.filter(other => other !== candidate);
+    }
+
+    notify(status, startSample) {
+        if (this.onCycle) {
+            this.onCycle({ status, time: startSample / this.sampleRate });
+        }
+    }
+
+    // Resolves once every finished cycle handed to the decoder has been decoded
+    flush() {
+        return this.work;
+    }
+}
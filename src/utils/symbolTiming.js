@@ -0,0 +1,126 @@
+// Symbol timing recovery for Sound QR cycles
+//
+// Slots are read at a fixed spacing from the start marker, but the sender's and
+// the recorder's sample clocks never quite agree: at 200ppm a nine second cycle
+// ends almost 2ms away from where the nominal spacing puts it, and a sound card
+// that resamples badly can be off by far more. An early-late gate on each
+// slot's winning tones measures how far the slot boundary sits from where it
+// was read; a second-order loop turns those errors into a running offset and a
+// drift rate, so later slots are read where they actually are.
+//
+// Each measurement is also kept as a boundary position against the slot
+// number. A straight line through all of them gives the drift more precisely
+// than the loop's rate, which only ever sees the last few slots, provided the
+// boundaries lie close enough to the line (see MAX_FIT_ERROR_PPM).
+//
+// Drift also lowers every tone by the same ratio, 15Hz at 15kHz and 1000ppm:
+// half a grid step, long before the timing error straddles symbols. The
+// decoder measures it from the start marker's frequency before the first slot
+// and retunes its reads (SoundQRDecoder.measureMarkerDrift); without that the
+// loop would be tracking symbols it can no longer read.
+
+// Largest sample-clock mismatch the marker measurements allow for
+export const MAX_CLOCK_DRIFT_PPM = 1000;
+
+// Boundary measurements needed before the fitted drift is trusted
+const MIN_FIT_POINTS = 16;
+
+// Largest standard error, in ppm, of a fitted drift that is still reported.
+// Boundaries scatter by tens of samples even in clean recordings, so short
+// cycles, slots with several tones (fewer clean edges) and noise leave the
+// slope loose; the decoder falls back to the start marker's drift then.
+export const MAX_FIT_ERROR_PPM = 25;
+
+// Loop defaults: the offset follows a timing error within ~20 slots, the rate
+// is critically damped against it
+export const TIMING_LOOP = {
+    gain: 0.05,
+    rateGain: 0.05 * 0.05 / 4
+};
+
+export class SymbolTimingTracker {
+    constructor(symbolSamples, options = {}) {
+        const {
+            gain = TIMING_LOOP.gain, // Share of each timing error applied to the offset
+            rateGain = TIMING_LOOP.rateGain, // Share folded into the drift rate
+            maxOffset = symbolSamples / 3 // Further than this the reads have lost the symbols anyway
+        } = options;
+
+        this.symbolSamples = symbolSamples;
+        this.gateSamples = Math.floor(symbolSamples / 4);
+        this.gain = gain;
+        this.rateGain = rateGain;
+        this.maxOffset = maxOffset;
+        this.maxRate = MAX_CLOCK_DRIFT_PPM * 1e-6 * symbolSamples;
+        this.offset = 0; // Samples added to the next slot's nominal position
+        this.rate = 0; // Offset gained per slot, in samples
+        this.updates = 0;
+        this.fit = { n: 0, x: 0, y: 0, xx: 0, xy: 0, yy: 0 }; // Least-squares sums of (slot, boundary offset)
+    }
+
+    // Timing error in samples of a slot read at `position` (its first sample),
+    // positive when the symbol actually starts later. Symbol-length windows
+    // shifted a quarter symbol either way catch equal parts of an aligned
+    // symbol; the imbalance is proportional to the error. Only pass tones that
+    // differ from the neighbouring slots', or the neighbours' energy leaks in.
+    measure(spectrum, position, frequencies) {
+        let early = 0;
+        let late = 0;
+        for (const frequency of frequencies) {
+            early += spectrum.strength(frequency, position - this.gateSamples, this.symbolSamples, 'rectangular');
+            late += spectrum.strength(frequency, position + this.gateSamples, this.symbolSamples, 'rectangular');
+        }
+        if (early + late <= 0) {
+            return null;
+        }
+        const error = (late - early) / (late + early) * (this.symbolSamples - this.gateSamples);
+        return Math.max(-this.gateSamples, Math.min(this.gateSamples, error));
+    }
+
+    // Feed back the error measured for a slot. `slot` (its number in the cycle)
+    // and `shift` (the offset it was read at) record where its boundary was.
+    update(error, slot, shift) {
+        const boundary = shift + error;
+        this.fit.n++;
+        this.fit.x += slot;
+        this.fit.y += boundary;
+        this.fit.xx += slot * slot;
+        this.fit.xy += slot * boundary;
+        this.fit.yy += boundary * boundary;
+
+        this.offset = Math.max(-this.maxOffset, Math.min(this.maxOffset, this.offset + this.gain * error));
+        this.rate = Math.max(-this.maxRate, Math.min(this.maxRate, this.rate + this.rateGain * error));
+        this.updates++;
+    }
+
+    // Move on one slot
+    advance() {
+        this.offset = Math.max(-this.maxOffset, Math.min(this.maxOffset, this.offset + this.rate));
+    }
+
+    // Clock drift from the line through every measured boundary, positive when
+    // the recording runs long (its clock is fast against the sender's); null
+    // until there are enough measurements, or while they scatter too much about
+    // the line for its slope to mean anything
+    get driftPpm() {
+        const fit = this.getDriftFit();
+        return fit && fit.errorPpm <= MAX_FIT_ERROR_PPM ? fit.driftPpm : null;
+    }
+
+    // Slope of the least-squares line through the boundaries and its standard
+    // error (residual scatter against how far apart the measured slots lie),
+    // both in ppm; null with too few measurements
+    getDriftFit() {
+        const { n, x, y, xx, xy, yy } = this.fit;
+        const sxx = xx - x * x / n;
+        if (n < MIN_FIT_POINTS || sxx <= 0) {
+            return null;
+        }
+        const sxy = xy - x * y / n;
+        const residual = Math.max(0, yy - y * y / n - sxy * sxy / sxx) / (n - 2);
+        return {
+            driftPpm: sxy / sxx / this.symbolSamples * 1e6,
+            errorPpm: Math.sqrt(residual / sxx) / this.symbolSamples * 1e6
+        };
+    }
+}
@@ -0,0 +1,109 @@
+import { SymbolTimingTracker, MAX_FIT_ERROR_PPM } from './symbolTiming';
+import { AudioProcessor, SampleBuffer } from './audioUtils';
+import { DirectSpectrum } from './spectralEngine';
+import { SoundQREncoder } from './soundQREncoder';
+import { SoundQRDecoder } from './soundQRDecoder';
+import { installWebAudioStub, TEST_SAMPLE_RATE as SAMPLE_RATE } from '../testUtils/webAudioStub';
+import { createRandom } from '../testUtils/random';
+
+const SYMBOL_SAMPLES = 2880; // 60ms
+const PAYLOAD = 'https://example.com/drift';
+
+// Run a tracker over `count` slots whose boundaries drift by `ppm`, each
+// measured with up to `scatter` samples of error either way
+function trackDrift(ppm, { count = 120, scatter = 0, seed = 1 } = {}) {
+    const tracker = new SymbolTimingTracker(SYMBOL_SAMPLES);
+    const random = createRandom(seed);
+
+    for (let slot = 0; slot < count; slot++) {
+        const shift = Math.round(tracker.offset);
+        const boundary = slot * SYMBOL_SAMPLES * ppm * 1e-6;
+        tracker.update(boundary - shift + (random() * 2 - 1) * scatter, slot, shift);
+        tracker.advance();
+    }
+    return tracker;
+}
+
+describe('SymbolTimingTracker', () => {
+    test.each([-1000, -300, 0, 300, 1000])('fits %ippm from the measured boundaries', ppm => {
+        const tracker = trackDrift(ppm, { scatter: 20 });
+
+        expect(Math.abs(tracker.driftPpm - ppm)).toBeLessThan(15);
+        expect(tracker.getDriftFit().errorPpm).toBeLessThan(MAX_FIT_ERROR_PPM);
+    });
+
+    test('leaves the drift unknown until there are enough boundaries', () => {
+        expect(trackDrift(300, { count: 10 }).driftPpm).toBeNull();
+        expect(trackDrift(300, { count: 10 }).getDriftFit()).toBeNull();
+    });
+
+    test('withholds a fit the boundaries scatter too widely about', () => {
+        const tracker = trackDrift(300, { count: 40, scatter: 200 });
+
+        expect(tracker.getDriftFit().errorPpm).toBeGreaterThan(MAX_FIT_ERROR_PPM);
+        expect(tracker.driftPpm).toBeNull();
+    });
+
+    test.each([-300, -80, 0, 80, 300])('measures a symbol starting %i samples late', late => {
+        // Three symbols on different tones, the middle one moved by `late`
+        const frequencies = [15200, 15500, 15800];
+        const samples = new Float32Array(SYMBOL_SAMPLES * 4);
+        for (let i = 0; i < samples.length; i++) {
+            const symbol = Math.max(0, Math.min(2, Math.floor((i - late) / SYMBOL_SAMPLES)));
+            samples[i] = Math.sin(2 * Math.PI * frequencies[symbol] * i / SAMPLE_RATE);
+        }
+
+        const tracker = new SymbolTimingTracker(SYMBOL_SAMPLES);
+        const error = tracker.measure(new DirectSpectrum(samples, SAMPLE_RATE), SYMBOL_SAMPLES, [frequencies[1]]);
+        expect(Math.abs(error - late)).toBeLessThan(SYMBOL_SAMPLES * 0.02);
+    });
+});
+
+describe('timing recovery on a recording whose clock drifts', () => {
+    let beacon;
+
+    beforeAll(async () => {
+        installWebAudioStub();
+
+        const result = await new SoundQREncoder().generateBeacon(PAYLOAD, {
+            version: 2,
+            cycles: 1,
+            loop: false,
+            background: 'white',
+            noiseLevel: -40
+        });
+
+        // Half a second either side, so the whole cycle is in the recording
+        beacon = new Float32Array(result.audioBuffer.length + SAMPLE_RATE);
+        beacon.set(result.audioBuffer.getChannelData(0), SAMPLE_RATE / 2);
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    // The beacon as a recorder running `ppm` fast would capture it
+    async function decodeDrifted(ppm, timingRecovery) {
+        const samples = new AudioProcessor().resample(beacon, SAMPLE_RATE, SAMPLE_RATE * (1 + ppm * 1e-6));
+        try {
+            return await new SoundQRDecoder().decode(new SampleBuffer([samples], SAMPLE_RATE), { timingRecovery });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    test.each([-1000, 1000])('decodes at %ippm only with timing recovery, and reports the drift', async ppm => {
+        expect((await decodeDrifted(ppm, false))?.data).not.toBe(PAYLOAD);
+
+        const result = await decodeDrifted(ppm, true);
+        expect(result.data).toBe(PAYLOAD);
+        expect(Math.abs(result.driftPpm - ppm)).toBeLessThan(30);
+    }, 120000);
+
+    test('reports no drift on a recording at the sender\'s rate', async () => {
+        const result = await decodeDrifted(0, true);
+
+        expect(result.data).toBe(PAYLOAD);
+        expect(Math.abs(result.driftPpm)).toBeLessThan(30);
+    }, 60000);
+});
@@ -0,0 +1,234 @@
+// WAV export for Sound QR
+//
+// Writes an AudioBuffer as a RIFF/WAVE file in 16-bit or 24-bit integer PCM
+// (RFC 676767 section 4.1 recommends 24-bit) or 32-bit IEEE float, optionally
+// followed by metadata chunks describing the embedded payload:
+//
+//   LIST/INFO - ISFT "Sound QR", IKEY "Sound QR", ISBJ payload, ICMT summary
+//               (version, profile, cycle times); read by most asset libraries
+//   iXML      - the same fields as structured XML under <SOUND_QR>
+//
+// Metadata chunks go after the data chunk so players that stop at 'data' are
+// unaffected.
+
+export const WAV_FORMATS = {
+    pcm16: { label: '16-bit PCM', formatTag: 1, bitsPerSample: 16 },
+    pcm24: { label: '24-bit PCM (recommended)', formatTag: 1, bitsPerSample: 24 },
+    float32: { label: '32-bit float', formatTag: 3, bitsPerSample: 32 }
+};
+
+export const WAV_METADATA_MODES = {
+    none: { label: 'None', chunks: [] },
+    info: { label: 'RIFF INFO', chunks: ['info'] },
+    ixml: { label: 'iXML', chunks: ['ixml'] },
+    both: { label: 'RIFF INFO + iXML', chunks: ['info', 'ixml'] }
+};
+
+const SOFTWARE_NAME = 'Sound QR';
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[char]);
+}
+
+export class WavExporter {
+    constructor() {
+        this.textEncoder = new TextEncoder();
+    }
+
+    // Serialize a buffer to a WAV file (ArrayBuffer)
+    async encode(audioBuffer, options = {}) {
+        const {
+            format = 'pcm24', // 'pcm16' | 'pcm24' | 'float32'
+            metadata = null, // From describeEncoding(); null = no metadata chunks
+            metadataMode = 'both', // 'none' | 'info' | 'ixml' | 'both'
+            batchSize = 10000 // Frames written between yields to the event loop
+        } = options;
+
+        const spec = WAV_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported WAV format: ${format}`);
+        }
+        if (!WAV_METADATA_MODES[metadataMode]) {
+            throw new Error(`Unsupported WAV metadata mode: ${metadataMode}`);
+        }
+
+        const { numberOfChannels, sampleRate, length: frames } = audioBuffer;
+        const bytesPerSample = spec.bitsPerSample / 8;
+        const blockAlign = numberOfChannels * bytesPerSample;
+        const dataLength = frames * blockAlign;
+        const isFloat = spec.formatTag === 3;
+
+        // Non-PCM formats carry a cbSize field and a 'fact' chunk with the frame count
+        const fmtLength = isFloat ? 18 : 16;
+        const extraChunks = metadata
+            ? WAV_METADATA_MODES[metadataMode].chunks.map(chunk => (
+                chunk === 'info' ? this.buildInfoChunk(metadata) : this.buildIXMLChunk(metadata)
+            ))
+            : [];
+        const extraLength = extraChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const headerLength = 12 + 8 + fmtLength + (isFloat ? 12 : 0) + 8;
+        const paddedDataLength = dataLength + (dataLength & 1);
+
+        const buffer = new ArrayBuffer(headerLength + paddedDataLength + extraLength);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+
+        console.log(`🔧 Writing WAV: ${audioBuffer.duration.toFixed(2)}s, ${numberOfChannels} channels, ${sampleRate}Hz, ${spec.label}`);
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, buffer.byteLength - 8, true);
+        writeString(8, 'WAVE');
+
+        writeString(12, 'fmt ');
+        view.setUint32(16, fmtLength, true);
+        view.setUint16(20, spec.formatTag, true);
+        view.setUint16(22, numberOfChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, spec.bitsPerSample, true);
+        let offset = 36;
+        if (isFloat) {
+            view.setUint16(offset, 0, true); // cbSize
+            writeString(offset + 2, 'fact');
+            view.setUint32(offset + 6, 4, true);
+            view.setUint32(offset + 10, frames, true);
+            offset += 14;
+        }
+
+        writeString(offset, 'data');
+        view.setUint32(offset + 4, dataLength, true);
+        offset += 8;
+
+        // Interleaved samples; integer formats are clamped and rounded
+        const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+        for (let start = 0; start < frames; start += batchSize) {
+            const end = Math.min(start + batchSize, frames);
+            for (let i = start; i < end; i++) {
+                for (let channel = 0; channel < numberOfChannels; channel++) {
+                    const sample = channels[channel][i];
+                    if (isFloat) {
+                        view.setFloat32(offset, sample, true);
+                    } else if (spec.bitsPerSample === 24) {
+                        const value = Math.round(Math.max(-1, Math.min(1, sample)) * 0x7FFFFF);
+                        view.setUint8(offset, value & 0xFF);
+                        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                    } else {
+                        view.setInt16(offset, Math.round(Math.max(-1, Math.min(1, sample)) * 0x7FFF), true);
+                    }
+                    offset += bytesPerSample;
+                }
+            }
+
+            // Yield so long exports don't freeze the page
+            if (end < frames) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        offset += dataLength & 1;
+
+        for (const chunk of extraChunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        console.log(`✅ WAV written: ${buffer.byteLength} bytes${extraChunks.length ? ` (+${extraLength} bytes metadata)` : ''}`);
+        return buffer;
+    }
+
+    // Metadata fields for an encoder result
+    describeEncoding(result) {
+        const isBinary = result.payloadType === 'binary';
+        return {
+            payloadType: result.payloadType,
+            payload: isBinary ? `${result.binaryData.length} bytes` : result.qrData.text,
+            version: isBinary ? null : result.qrData.version,
+            errorCorrectionLevel: isBinary ? null : result.qrData.errorCorrectionLevel,
+            profile: result.profile,
+            timingPreset: result.timingPreset,
+            tonesPerSlot: result.tonesPerSlot,
+            interleave: result.interleave,
+            cycleTimes: result.cycleTimes
+        };
+    }
+
+    // One-line summary used for ICMT and the iXML NOTE
+    summarize(metadata) {
+        const payload = metadata.payloadType === 'binary'
+            ? `binary payload (${metadata.payload})`
+            : `QR version ${metadata.version}-${metadata.errorCorrectionLevel}`;
+        const cycles = metadata.cycleTimes.map(time => `${time.toFixed(3)}s`).join(', ');
+        return `${SOFTWARE_NAME}: ${payload}, ${metadata.profile} profile, ${metadata.timingPreset} symbol rate, ` +
+            `${metadata.tonesPerSlot} tone${metadata.tonesPerSlot > 1 ? 's' : ''} per slot, cycles at ${cycles}`;
+    }
+
+    // RIFF chunk: id, length, body, pad byte to an even length
+    buildChunk(id, body) {
+        const chunk = new Uint8Array(8 + body.length + (body.length & 1));
+        const view = new DataView(chunk.buffer);
+        for (let i = 0; i < 4; i++) {
+            chunk[i] = id.charCodeAt(i);
+        }
+        view.setUint32(4, body.length, true);
+        chunk.set(body, 8);
+        return chunk;
+    }
+
+    buildInfoChunk(metadata) {
+        const entries = [
+            ['ISFT', SOFTWARE_NAME],
+            ['IKEY', SOFTWARE_NAME],
+            ['ISBJ', metadata.payload],
+            ['ICMT', this.summarize(metadata)]
+        ];
+
+        // INFO strings are NUL terminated
+        const subchunks = entries.map(([id, text]) => this.buildChunk(id, this.textEncoder.encode(`${text}\0`)));
+        const body = new Uint8Array(4 + subchunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        body.set(this.textEncoder.encode('INFO'), 0);
+        let offset = 4;
+        for (const chunk of subchunks) {
+            body.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return this.buildChunk('LIST', body);
+    }
+
+    buildIXMLChunk(metadata) {
+        const fields = [
+            ['PAYLOAD_TYPE', metadata.payloadType],
+            ['PAYLOAD', metadata.payload],
+            ['VERSION', metadata.version],
+            ['ERROR_CORRECTION', metadata.errorCorrectionLevel],
+            ['PROFILE', metadata.profile],
+            ['TIMING_PRESET', metadata.timingPreset],
+            ['TONES_PER_SLOT', metadata.tonesPerSlot],
+            ['INTERLEAVE', metadata.interleave]
+        ].filter(([, value]) => value !== null && value !== undefined);
+
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<BWFXML>',
+            '  <IXML_VERSION>2.10</IXML_VERSION>',
+            `  <NOTE>${escapeXml(this.summarize(metadata))}</NOTE>`,
+            '  <SOUND_QR>',
+            ...fields.map(([tag, value]) => `    <${tag}>${escapeXml(value)}</${tag}>`),
+            '    <CYCLE_TIMES>',
+            ...metadata.cycleTimes.map(time => `      <CYCLE>${time.toFixed(3)}</CYCLE>`),
+            '    </CYCLE_TIMES>',
+            '  </SOUND_QR>',
+            '</BWFXML>',
+            ''
+        ].join('\n');
+
+        return this.buildChunk('iXML', this.textEncoder.encode(xml));
+    }
+}
@@ -0,0 +1,36 @@
+// Decode worker: runs SoundQRDecoder off the main thread.
+//
+// Messages in:
+//   { type: 'decode', id, channels: Float32Array[], sampleRate, options }
+//     channels arrive transferred; options are SoundQRDecoder.decode options
+//     (analysisSampleRate must be set, workers have no audio context)
+//
+// Messages out, tagged with the job id:
+//   { type: 'progress', id, stage, progress }
+//   { type: 'result', id, result }
+//   { type: 'error', id, message }
+
+import { SampleBuffer } from '../utils/audioUtils';
+import { SoundQRDecoder } from '../utils/soundQRDecoder';
+
+const decoder = new SoundQRDecoder();
+
+addEventListener('message', async (event) => {
+    const { type, id, channels, sampleRate, options } = event.data;
+    if (type !== 'decode') {
+        return;
+    }
+
+    try {
+        const result = await decoder.decode(new SampleBuffer(channels, sampleRate), {
+            ...options,
+            onProgress: progress => postMessage({ type: 'progress', id, ...progress })
+        });
+
+        // Binary payloads go back without a copy
+        const transfer = result.data instanceof Uint8Array ? [result.data.buffer] : [];
+        postMessage({ type: 'result', id, result }, transfer);
+    } catch (error) {
+        postMessage({ type: 'error', id, message: error.message });
+    }
+});